@@ -6,12 +6,54 @@ let reconnectAttempts = 0;
 let reconnectTimeout = null;
 let heartbeatInterval = null;
 let videoTabId = null; // Track the tab that has the video
+let joinTabId = null; // Tab a join was started from, the one sent to the party video once joined
 const MAX_RECONNECT_DELAY = 30000; // 30 seconds
 const HEARTBEAT_INTERVAL = 25000; // 25 seconds
+const CLOCK_SAMPLE_COUNT = 8; // Number of recent ping samples kept for clock estimation
+const CLOCK_BURST_PINGS = 5; // Extra pings sent right after connecting to get a quick estimate
+const CLOCK_BURST_INTERVAL = 500; // ms between burst pings
+let clockOffset = 0; // Estimated server clock minus local clock, in ms
+let roundTripTime = null; // Round-trip time of the best recent sample, in ms
+let clockSamples = [];
+let lastEventAt = null; // Server timestamp of the last message received, so a resumed session can catch up
+let myClientId = null; // Our client id in the current party (to skip our own chat messages when counting unread)
+let chatHistory = []; // Chat messages in the current party, oldest first
+let unreadChatCount = 0;
+let badgeParticipantCount = 0;
+const MAX_CHAT_HISTORY = 50; // Matches the history the server keeps
+let reactionTimeline = []; // Reactions on the party's current video, for content scripts that load later
+const MAX_REACTIONS = 500; // Matches the timeline the server keeps
+let activePolls = []; // Open polls in the current party
+let partyPlayback = null; // Where the party's video is: { url, playing, position, playbackRate, anchor (local ms) }
+const PROTOCOL_VERSION = 1; // Must match a version the server speaks (see its `hello` reply)
+const MIN_SERVER_PROTOCOL_VERSION = 1; // Oldest server protocol this extension works with
+const INCOMPATIBLE_PROTOCOL_CLOSE_CODE = 4001; // The server closes with this when it refuses our protocol version
+// Optional features this extension supports, announced in our `hello`
+const CAPABILITIES = ['resume', 'chat', 'reactions', 'queue', 'polls', 'ready-check', 'buffering', 'ads', 'party-settings', 'invites', 'party-directory', 'vanity-codes', 'event-log'];
+let awaitingHello = false; // Sent `hello` and have not heard back yet
+let helloTimer = null; // Gives up waiting for the server's `hello`
+const HELLO_TIMEOUT = 5000; // Servers from before the handshake ignore `hello`, so silence this long means one of those
+let deviceId = null; // Random id kept across sessions, so a host's ban follows this browser rather than only its IP address
+
+// Load this browser's device id, creating it on first run
+chrome.storage.local.get(['deviceId'], (result) => {
+  deviceId = result.deviceId || crypto.randomUUID();
+  if (!result.deviceId) chrome.storage.local.set({ deviceId });
+});
+
+// Update the extension icon badge: unread chat messages take priority over the participant count.
+// Called without a count to refresh the badge after the unread count changes.
+function updateBadge(participantCount = badgeParticipantCount) {
+  badgeParticipantCount = participantCount;
+  // Without participants we are not in a party, so nothing can be unread
+  if (participantCount === 0) {
+    unreadChatCount = 0;
+  }
 
-// Update the extension icon badge with participant count
-function updateBadge(participantCount) {
-  if (participantCount > 0) {
+  if (unreadChatCount > 0) {
+    chrome.action.setBadgeText({ text: String(unreadChatCount) });
+    chrome.action.setBadgeBackgroundColor({ color: '#ef4444' });
+  } else if (participantCount > 0) {
     chrome.action.setBadgeText({ text: String(participantCount) });
     chrome.action.setBadgeBackgroundColor({ color: '#7c3aed' });
   } else {
@@ -19,12 +61,326 @@ function updateBadge(participantCount) {
   }
 }
 
+// Replace the chat history (on joining) and mirror it to storage for the popup
+function setChatHistory(history) {
+  chatHistory = history.slice(-MAX_CHAT_HISTORY);
+  chrome.storage.local.set({ chatHistory });
+}
+
+// Replace the reaction timeline and mirror it to storage for content scripts
+function setReactionTimeline(reactions) {
+  reactionTimeline = reactions.slice(-MAX_REACTIONS);
+  chrome.storage.local.set({ reactionTimeline });
+}
+
+// Replace the open polls and mirror them to storage for the popup and content scripts
+function setPolls(polls) {
+  activePolls = polls.filter(poll => poll.status === 'open');
+  chrome.storage.local.set({ polls: activePolls });
+}
+
+// Replace the party's playback snapshot and mirror it to storage, so a tab that only
+// reaches the party video later (or reloads) can catch up. `updatedAt` is server time; a
+// ready check's countdown moves the anchor on to when playback starts (`startAt`).
+function setPartyPlayback(url, playback, updatedAt) {
+  partyPlayback = url && playback ? {
+    url,
+    playing: !!playback.playing,
+    position: playback.position || 0,
+    playbackRate: playback.playbackRate || 1,
+    anchor: Math.max(updatedAt, playback.startAt || 0) - clockOffset
+  } : null;
+  chrome.storage.local.set({ partyPlayback });
+}
+
+// Move the playback snapshot along with a sync event from the party
+function updatePartyPlayback(event) {
+  const data = event.data || {};
+  if (!partyPlayback || data.currentTime === undefined) return;
+  const playing = event.action === 'play' || (event.action !== 'pause' && (data.playing !== undefined ? data.playing : partyPlayback.playing));
+  setPartyPlayback(partyPlayback.url, {
+    playing,
+    position: data.currentTime,
+    playbackRate: data.playbackRate || partyPlayback.playbackRate
+  }, typeof data.sentAt === 'number' ? data.sentAt : getServerTime());
+}
+
+// Forget the party we were in, after leaving, being removed or failing to resume
+function clearPartyState() {
+  chrome.storage.local.set({
+    partyCode: null,
+    hostId: null,
+    participants: [],
+    inParty: false,
+    resumeToken: null,
+    chatHistory: [],
+    reactionTimeline: [],
+    queue: [],
+    polls: [],
+    readyCheck: null
+  });
+  setPartyPlayback(null);
+}
+
+// Mark all chat messages as read and tell the popup and content script
+function markChatRead() {
+  unreadChatCount = 0;
+  updateBadge();
+  chrome.runtime.sendMessage({ type: 'chat-unread', count: 0 }).catch(() => {});
+  notifyContentScript({ type: 'chat-unread', count: 0 });
+}
+
 // Get server URL from storage or use default
 async function getServerUrl() {
   const result = await chrome.storage.local.get(['serverUrl']);
   return result.serverUrl || 'ws://localhost:8080';
 }
 
+// Handle a message from the server
+function handleServerMessage(message) {
+  switch (message.type) {
+    case 'party-created':
+      chrome.storage.local.set({
+        partyCode: message.partyCode,
+        clientId: message.clientId,
+        hostId: message.clientId,
+        username: message.username,
+        participants: [{ id: message.clientId, username: message.username, isHost: true }],
+        inParty: true,
+        resumeToken: message.resumeToken,
+        queue: [],
+        readyCheck: null,
+        settings: message.settings || {}
+      });
+      myClientId = message.clientId;
+      unreadChatCount = 0;
+      setChatHistory([]);
+      setReactionTimeline([]);
+      setPolls([]);
+      setPartyPlayback(null);
+      // Notify popup
+      chrome.runtime.sendMessage({ type: 'party-created', data: message }).catch(() => {});
+      // Notify content script so it can enable theater mode and start syncing
+      notifyContentScript({
+        type: 'joined',
+        data: {
+          partyCode: message.partyCode,
+          clientId: message.clientId,
+          hostId: message.clientId,
+          participants: [{ id: message.clientId, username: message.username, isHost: true }]
+        }
+      });
+      // Show badge with 1 participant (the creator)
+      updateBadge(1);
+      break;
+
+    case 'joined':
+    case 'resumed':
+      chrome.storage.local.set({
+        partyCode: message.partyCode,
+        clientId: message.clientId,
+        hostId: message.hostId,
+        username: message.username,
+        participants: message.participants,
+        inParty: true,
+        resumeToken: message.resumeToken,
+        queue: message.queue || [],
+        readyCheck: message.readyCheck || null,
+        settings: message.settings || {}
+      });
+      myClientId = message.clientId;
+      unreadChatCount = 0;
+      setChatHistory(message.chat || []);
+      setReactionTimeline(message.reactions || []);
+      setPolls(message.polls || []);
+      setPartyPlayback(message.video && message.video.url, message.playback, message.playback && message.playback.updatedAt);
+      // Notify popup and content script
+      chrome.runtime.sendMessage({ type: 'joined', data: message }).catch(() => {});
+      notifyContentScript({ type: 'joined', data: { ...message, partyPlayback } });
+      // Only the tab the join came from (or the video tab) goes to the party video, and a
+      // resume after a dropped connection never moves any tab
+      if (message.type === 'joined' && partyPlayback && (joinTabId || videoTabId)) {
+        chrome.tabs.sendMessage(joinTabId || videoTabId, { type: 'go-to-party-video', partyPlayback }).catch(() => {});
+      }
+      joinTabId = null;
+      // Update badge with participant count
+      updateBadge(message.participants ? message.participants.length : 0);
+      // Catch up on what happened while we were disconnected
+      if (message.missed) {
+        message.missed.forEach(handleServerMessage);
+      }
+      break;
+
+    case 'left':
+      clearPartyState();
+      chrome.runtime.sendMessage({ type: 'left' }).catch(() => {});
+      notifyContentScript({ type: 'left' });
+      // Clear badge when leaving party
+      updateBadge(0);
+      break;
+
+    case 'kicked':
+      // Removed by the host; treat like leaving and tell the user why
+      clearPartyState();
+      chrome.runtime.sendMessage({ type: 'left' }).catch(() => {});
+      chrome.runtime.sendMessage({
+        type: 'error',
+        message: message.banned ? 'You were banned from the party by the host' : 'You were removed from the party by the host'
+      }).catch(() => {});
+      notifyContentScript({ type: 'left' });
+      updateBadge(0);
+      break;
+
+    case 'participants':
+      chrome.storage.local.set({ participants: message.participants, hostId: message.hostId });
+      chrome.runtime.sendMessage({ type: 'participants', data: message }).catch(() => {});
+      // Forward to content script so it can update in-page overlay
+      notifyContentScript({ type: 'participants', data: message });
+      // Update badge with participant count
+      updateBadge(message.participants ? message.participants.length : 0);
+      break;
+
+    case 'sync': {
+      // Work out how long the event spent in transit on the server's
+      // clock so the content script can compensate for it
+      const sentAt = message.data && message.data.sentAt;
+      const elapsed = typeof sentAt === 'number' ? Math.max(0, getServerTime() - sentAt) / 1000 : 0;
+      updatePartyPlayback(message);
+      notifyContentScript({ type: 'sync', data: { ...message, elapsed }, partyPlayback });
+      break;
+    }
+
+    case 'video-changed':
+      chrome.storage.local.set({ videoInfo: message.data });
+      setReactionTimeline([]);
+      setPartyPlayback(message.data && message.data.url, message.playback, message.playback ? message.playback.updatedAt : message.timestamp);
+      chrome.runtime.sendMessage({ type: 'video-info', data: message }).catch(() => {});
+      // Notify content script to navigate to the new video URL
+      notifyContentScript({ type: 'video-changed', data: message.data, username: message.username, partyPlayback });
+      break;
+
+    case 'video-info':
+      chrome.storage.local.set({ videoInfo: message.data });
+      chrome.runtime.sendMessage({ type: 'video-info', data: message }).catch(() => {});
+      // Forward to content script so it knows the party's video URL
+      notifyContentScript({ type: 'video-info', data: message });
+      break;
+
+    case 'chat':
+      setChatHistory([...chatHistory, message]);
+      if (message.clientId !== myClientId) {
+        unreadChatCount++;
+        updateBadge();
+      }
+      chrome.runtime.sendMessage({ type: 'chat', data: message, unread: unreadChatCount }).catch(() => {});
+      notifyContentScript({ type: 'chat', data: message, unread: unreadChatCount });
+      break;
+
+    case 'reaction':
+      // Only the content script animates reactions
+      setReactionTimeline([...reactionTimeline, message]);
+      notifyContentScript({ type: 'reaction', data: message });
+      break;
+
+    case 'queue':
+      chrome.storage.local.set({ queue: message.queue });
+      chrome.runtime.sendMessage({ type: 'queue', queue: message.queue }).catch(() => {});
+      notifyContentScript({ type: 'queue', queue: message.queue });
+      break;
+
+    case 'poll':
+      // Open polls are updated in place; a closed poll is sent once more with its result
+      setPolls([...activePolls.filter(poll => poll.id !== message.poll.id), message.poll]);
+      chrome.runtime.sendMessage({ type: 'poll', poll: message.poll }).catch(() => {});
+      notifyContentScript({ type: 'poll', poll: message.poll });
+      break;
+
+    case 'party-settings':
+      chrome.storage.local.set({ settings: message.settings });
+      chrome.runtime.sendMessage({ type: 'party-settings', settings: message.settings }).catch(() => {});
+      break;
+
+    case 'ready-check': {
+      const readyCheck = message.readyCheck;
+      chrome.storage.local.set({ readyCheck: readyCheck.status === 'open' ? readyCheck : null });
+      // The countdown ends at a server time; tell the content script how far away that is on our clock
+      const startIn = readyCheck.status === 'started' ? readyCheck.startAt - getServerTime() : null;
+      chrome.runtime.sendMessage({ type: 'ready-check', readyCheck }).catch(() => {});
+      notifyContentScript({ type: 'ready-check', readyCheck, startIn });
+      break;
+    }
+
+    case 'hello':
+      // The server's version, features and limits
+      helloAnswered();
+      setProtocolStatus(message.version < MIN_SERVER_PROTOCOL_VERSION ? 'server-too-old' : 'ok', {
+        version: message.version,
+        server: message.server,
+        features: message.features || [],
+        limits: message.limits || {}
+      });
+      break;
+
+    case 'error':
+      console.error('Server error:', message.message);
+      if (message.code === 'incompatible-protocol') {
+        // The server refused our version; its minimum says which side is behind
+        helloAnswered();
+        setProtocolStatus(message.minVersion > PROTOCOL_VERSION ? 'server-too-new' : 'server-too-old', {
+          version: message.version,
+          features: null,
+          limits: null
+        });
+        break;
+      }
+      if (message.code === 'unknown-type' && awaitingHello) {
+        // Servers from before the handshake don't know `hello`; they still work, without newer features
+        helloAnswered();
+        setProtocolStatus('server-too-old', { version: null, features: null, limits: null });
+        break;
+      }
+      // Our place in the party was given up while we were disconnected
+      if (message.code === 'resume-failed') {
+        clearPartyState();
+        chrome.runtime.sendMessage({ type: 'left' }).catch(() => {});
+        notifyContentScript({ type: 'left' });
+        updateBadge(0);
+      }
+      chrome.runtime.sendMessage({
+        type: 'error',
+        message: message.message,
+        code: message.code,
+        retryAfter: message.retryAfter
+      }).catch(() => {});
+      // A tab joining from an invite link waits to hear whether that worked
+      notifyContentScript({ type: 'error', message: message.message, code: message.code });
+      break;
+
+    case 'pong':
+      // Heartbeat response received; use it to refine the clock estimate
+      handlePong(message);
+      break;
+
+    case 'event-log':
+      // Forward the party's event log to the popup, which saves it as a file
+      chrome.runtime.sendMessage({ type: 'event-log', log: message }).catch(() => {});
+      break;
+
+    case 'invite':
+      // Forward a one-time invite to the popup, which builds the link
+      chrome.runtime.sendMessage({ type: 'invite', partyCode: message.partyCode, token: message.token, expiresAt: message.expiresAt }).catch(() => {});
+      break;
+
+    case 'party-list':
+      // Forward party list to popup
+      chrome.runtime.sendMessage({ type: 'party-list', parties: message.parties }).catch(() => {});
+      break;
+
+    default:
+      console.log('Unknown message type:', message.type);
+  }
+}
+
 // Connect to WebSocket server
 async function connect() {
   if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) {
@@ -44,9 +400,31 @@ async function connect() {
       
       // Update connection status
       chrome.storage.local.set({ connectionStatus: 'connected' });
+
+      // Forget what the previous server (or server URL) said about itself until this one answers
+      setProtocolStatus(null, null);
+
+      // Tell the server which protocol we speak before anything else
+      awaitingHello = true;
+      clearTimeout(helloTimer);
+      helloTimer = setTimeout(() => {
+        if (!awaitingHello) return;
+        // Older servers only log message types they don't know, so silence is all we get
+        helloAnswered();
+        setProtocolStatus('server-too-old', { version: null, features: null, limits: null });
+      }, HELLO_TIMEOUT);
+      sendToServer({
+        type: 'hello',
+        version: PROTOCOL_VERSION,
+        capabilities: CAPABILITIES,
+        client: `wparty-extension/${chrome.runtime.getManifest().version}`
+      });
       
       // Start heartbeat
       startHeartbeat();
+
+      // Pick up where we left off if the connection dropped while in a party
+      resumeSession();
       
       // Notify popup and content scripts
       chrome.runtime.sendMessage({ type: 'connection-status', status: 'connected' }).catch(() => {});
@@ -58,93 +436,10 @@ async function connect() {
         const message = JSON.parse(event.data);
         console.log('Received message:', message);
 
-        // Handle different message types
-        switch (message.type) {
-          case 'party-created':
-            chrome.storage.local.set({
-              partyCode: message.partyCode,
-              username: message.username,
-              inParty: true
-            });
-            // Notify popup
-            chrome.runtime.sendMessage({ type: 'party-created', data: message }).catch(() => {});
-            // Notify content script so it can enable theater mode and start syncing
-            notifyContentScript({ type: 'joined', data: { partyCode: message.partyCode, participants: [{ username: message.username }] } });
-            // Show badge with 1 participant (the creator)
-            updateBadge(1);
-            break;
-
-          case 'joined':
-            chrome.storage.local.set({
-              partyCode: message.partyCode,
-              username: message.username,
-              participants: message.participants,
-              inParty: true
-            });
-            // Notify popup and content script
-            chrome.runtime.sendMessage({ type: 'joined', data: message }).catch(() => {});
-            notifyContentScript({ type: 'joined', data: message });
-            // Update badge with participant count
-            updateBadge(message.participants ? message.participants.length : 0);
-            break;
-
-          case 'left':
-            chrome.storage.local.set({
-              partyCode: null,
-              participants: [],
-              inParty: false
-            });
-            chrome.runtime.sendMessage({ type: 'left' }).catch(() => {});
-            notifyContentScript({ type: 'left' });
-            // Clear badge when leaving party
-            updateBadge(0);
-            break;
-
-          case 'participants':
-            chrome.storage.local.set({ participants: message.participants });
-            chrome.runtime.sendMessage({ type: 'participants', data: message }).catch(() => {});
-            // Forward to content script so it can update in-page overlay
-            notifyContentScript({ type: 'participants', data: message });
-            // Update badge with participant count
-            updateBadge(message.participants ? message.participants.length : 0);
-            break;
-
-          case 'sync':
-            // Forward sync event to content script
-            notifyContentScript({ type: 'sync', data: message });
-            break;
-
-          case 'video-changed':
-            chrome.storage.local.set({ videoInfo: message.data });
-            chrome.runtime.sendMessage({ type: 'video-info', data: message }).catch(() => {});
-            // Notify content script to navigate to the new video URL
-            notifyContentScript({ type: 'video-changed', data: message.data, username: message.username });
-            break;
-
-          case 'video-info':
-            chrome.storage.local.set({ videoInfo: message.data });
-            chrome.runtime.sendMessage({ type: 'video-info', data: message }).catch(() => {});
-            // Forward to content script so it knows the party's video URL
-            notifyContentScript({ type: 'video-info', data: message });
-            break;
-
-          case 'error':
-            console.error('Server error:', message.message);
-            chrome.runtime.sendMessage({ type: 'error', message: message.message }).catch(() => {});
-            break;
-
-          case 'pong':
-            // Heartbeat response received
-            break;
-
-          case 'party-list':
-            // Forward party list to popup
-            chrome.runtime.sendMessage({ type: 'party-list', parties: message.parties }).catch(() => {});
-            break;
-
-          default:
-            console.log('Unknown message type:', message.type);
+        if (typeof message.timestamp === 'number') {
+          lastEventAt = message.timestamp;
         }
+        handleServerMessage(message);
       } catch (error) {
         console.error('Error processing message:', error);
       }
@@ -155,14 +450,18 @@ async function connect() {
       chrome.storage.local.set({ connectionStatus: 'error' });
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
       console.log('WebSocket closed');
       chrome.storage.local.set({ connectionStatus: 'disconnected' });
       chrome.runtime.sendMessage({ type: 'connection-status', status: 'disconnected' }).catch(() => {});
       notifyContentScript({ type: 'connection-status', status: 'disconnected' });
       
       stopHeartbeat();
-      scheduleReconnect();
+      helloAnswered();
+      // Reconnecting would only be refused again; saving a server URL connects afresh
+      if (event.code !== INCOMPATIBLE_PROTOCOL_CLOSE_CODE) {
+        scheduleReconnect();
+      }
     };
   } catch (error) {
     console.error('Error creating WebSocket:', error);
@@ -170,6 +469,23 @@ async function connect() {
   }
 }
 
+// The server answered (or the connection went away): stop waiting for its `hello`
+function helloAnswered() {
+  awaitingHello = false;
+  clearTimeout(helloTimer);
+  helloTimer = null;
+}
+
+// Remember whether the server speaks our protocol, and what it supports, for the popup.
+// Both are null while a new connection has not heard from its server yet.
+function setProtocolStatus(protocolStatus, serverInfo) {
+  if (protocolStatus && protocolStatus !== 'ok') {
+    console.warn('Server protocol mismatch:', protocolStatus, serverInfo);
+  }
+  chrome.storage.local.set({ protocolStatus, serverInfo });
+  chrome.runtime.sendMessage({ type: 'protocol-status', protocolStatus, serverInfo }).catch(() => {});
+}
+
 // Disconnect from WebSocket server
 function disconnect() {
   if (ws) {
@@ -185,6 +501,21 @@ function disconnect() {
   updateBadge(0);
 }
 
+// Ask the server to put us back into our party with the same identity
+async function resumeSession() {
+  const result = await chrome.storage.local.get(['inParty', 'partyCode', 'resumeToken']);
+  if (!result.inParty || !result.partyCode || !result.resumeToken) return;
+
+  console.log('Resuming session in party', result.partyCode);
+  sendToServer({
+    type: 'resume',
+    partyCode: result.partyCode,
+    resumeToken: result.resumeToken,
+    deviceId,
+    lastEventAt: lastEventAt
+  });
+}
+
 // Schedule reconnection with exponential backoff
 function scheduleReconnect() {
   if (reconnectTimeout) return;
@@ -200,14 +531,54 @@ function scheduleReconnect() {
   }, delay);
 }
 
+// Send a ping carrying our local send time and latest round-trip estimate
+function sendPing() {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'ping', timestamp: Date.now(), rtt: roundTripTime }));
+  }
+}
+
+// Estimate clock offset and round-trip time from a pong (NTP-style):
+// t0 = our send time, t1 = server receive, t2 = server send, t3 = our receive
+function handlePong(message) {
+  if (typeof message.clientTime !== 'number' || typeof message.serverReceivedAt !== 'number') return;
+
+  const t0 = message.clientTime;
+  const t1 = message.serverReceivedAt;
+  const t2 = message.timestamp;
+  const t3 = Date.now();
+
+  clockSamples.push({
+    rtt: (t3 - t0) - (t2 - t1),
+    offset: ((t1 - t0) + (t2 - t3)) / 2
+  });
+  if (clockSamples.length > CLOCK_SAMPLE_COUNT) {
+    clockSamples.shift();
+  }
+
+  // The fastest round trip has the least room for asymmetric delay, so trust it most
+  const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  clockOffset = best.offset;
+  roundTripTime = Math.max(0, best.rtt);
+  chrome.storage.local.set({ roundTripTime });
+}
+
+// Current time on the server's clock, in ms
+function getServerTime() {
+  return Date.now() + clockOffset;
+}
+
 // Start heartbeat
 function startHeartbeat() {
   stopHeartbeat();
-  heartbeatInterval = setInterval(() => {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
-    }
-  }, HEARTBEAT_INTERVAL);
+  clockSamples = [];
+
+  // A short burst of pings gives a usable clock estimate straight away
+  for (let i = 0; i < CLOCK_BURST_PINGS; i++) {
+    setTimeout(sendPing, i * CLOCK_BURST_INTERVAL);
+  }
+
+  heartbeatInterval = setInterval(sendPing, HEARTBEAT_INTERVAL);
 }
 
 // Stop heartbeat
@@ -322,7 +693,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         type: 'create-party', 
         username: message.username,
         password: message.password,
-        persistent: message.persistent
+        persistent: message.persistent,
+        visibility: message.visibility,
+        name: message.name,
+        description: message.description,
+        tags: message.tags,
+        maxParticipants: message.maxParticipants,
+        code: message.code,
+        reserveDays: message.reserveDays,
+        deviceId
       })) {
         sendResponse({ success: true });
       } else {
@@ -331,11 +710,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       break;
 
     case 'join-party':
+      // Invite links are opened in a video tab, so that is where the party plays
+      if (sender.tab) {
+        videoTabId = sender.tab.id;
+        joinTabId = sender.tab.id;
+      } else {
+        // Joined from the popup: the tab it was opened over
+        joinTabId = null;
+        chrome.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+          joinTabId = tab ? tab.id : null;
+        }).catch(() => {});
+      }
       if (sendToServer({ 
         type: 'join', 
         partyCode: message.partyCode, 
         username: message.username,
-        password: message.password
+        password: message.password,
+        inviteToken: message.inviteToken,
+        deviceId
       })) {
         sendResponse({ success: true });
       } else {
@@ -343,6 +735,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       break;
 
+    case 'get-event-log':
+      if (sendToServer({ type: 'get-event-log' })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'create-invite':
+      if (sendToServer({ type: 'create-invite' })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
     case 'leave-party':
       if (sendToServer({ type: 'leave' })) {
         sendResponse({ success: true });
@@ -356,7 +764,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (sender.tab) {
         videoTabId = sender.tab.id;
       }
-      if (sendToServer({ type: 'sync', action: message.action, data: message.data })) {
+      // Stamp the event with the server-clock time it was sent
+      if (sendToServer({ type: 'sync', action: message.action, data: { ...message.data, sentAt: getServerTime() } })) {
         sendResponse({ success: true });
       } else {
         sendResponse({ success: false, error: 'Not connected' });
@@ -375,21 +784,144 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       break;
 
+    case 'transfer-host':
+    case 'kick':
+    case 'ban':
+      // Host moderation actions from the popup or overlay
+      if (sendToServer({ type: message.type, targetId: message.targetId })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'send-chat':
+      if (sendToServer({ type: 'chat', text: message.text })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'send-reaction':
+      if (sendToServer({ type: 'reaction', emoji: message.emoji, position: message.position })) {
+        setReactionTimeline([...reactionTimeline, { clientId: myClientId, username: 'You', emoji: message.emoji, position: message.position }]);
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'queue-add':
+    case 'queue-remove':
+    case 'queue-move':
+    case 'queue-next':
+      // Shared queue edits from the popup
+      if (sendToServer({ type: message.type, url: message.url, title: message.title, id: message.id, index: message.index })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'poll-create':
+    case 'poll-vote':
+    case 'poll-close':
+      // Polls and action votes from the popup or overlay
+      if (sendToServer({
+        type: message.type,
+        kind: message.kind,
+        question: message.question,
+        options: message.options,
+        pollId: message.pollId,
+        option: message.option
+      })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'ready-check':
+    case 'ready':
+    case 'ready-check-cancel':
+      // Ready check requests from the popup or overlay, and readiness reports from the content script
+      if (sendToServer({ type: message.type, position: message.position, checkId: message.checkId, ready: message.ready })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'buffering':
+      // The party video stalled or recovered in the content script
+      if (sendToServer({ type: 'buffering', buffering: message.buffering })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'ad':
+      // An ad break started or ended in the content script
+      if (sendToServer({ type: 'ad', inAd: message.inAd })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'party-settings':
+      // Party-wide policies changed by the host in the popup
+      if (sendToServer({ type: 'party-settings', settings: message.settings })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'video-ended':
+      // The party video finished playing; the server starts the next queued one
+      if (sendToServer({ type: 'video-ended', url: message.url })) {
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Not connected' });
+      }
+      break;
+
+    case 'mark-chat-read':
+      markChatRead();
+      sendResponse({ success: true });
+      break;
+
     case 'get-status':
-      chrome.storage.local.get(['connectionStatus', 'partyCode', 'username', 'participants', 'inParty', 'videoInfo'], (result) => {
+      chrome.storage.local.get(['connectionStatus', 'partyCode', 'clientId', 'hostId', 'username', 'participants', 'inParty', 'videoInfo', 'chatHistory', 'reactionTimeline', 'queue', 'polls', 'readyCheck', 'settings', 'protocolStatus', 'serverInfo', 'partyPlayback'], (result) => {
         sendResponse({
           connectionStatus: result.connectionStatus || 'disconnected',
           partyCode: result.partyCode,
+          clientId: result.clientId,
+          hostId: result.hostId,
           username: result.username,
           participants: result.participants || [],
           inParty: result.inParty || false,
-          videoInfo: result.videoInfo
+          videoInfo: result.videoInfo,
+          chatHistory: result.chatHistory || [],
+          reactionTimeline: result.reactionTimeline || [],
+          queue: result.queue || [],
+          polls: result.polls || [],
+          readyCheck: result.readyCheck || null,
+          settings: result.settings || {},
+          protocolStatus: result.protocolStatus || 'ok',
+          serverInfo: result.serverInfo || null,
+          partyPlayback: result.partyPlayback || null,
+          unreadChat: unreadChatCount
         });
       });
       return true; // Keep channel open for async response
 
     case 'list-parties':
-      if (sendToServer({ type: 'list-parties' })) {
+      // Search and filters are applied by the server
+      if (sendToServer({ type: 'list-parties', ...message.filters })) {
         sendResponse({ success: true });
       } else {
         sendResponse({ success: false, error: 'Not connected' });
@@ -8,6 +8,7 @@
   let isSyncing = false; // Flag to prevent sync loops
   let isInParty = false;
   let currentPartyCode = null; // Track the current party code
+  let myClientId = null; // Our client id in the party (to tell if we are the host)
   let lastSyncTime = 0;
   let lastKnownUrl = window.location.href; // Track URL for SPA navigation
   let lastSentVideoUrl = null; // Track the last video URL sent to server
@@ -20,8 +21,47 @@
   let hiddenElements = []; // Elements hidden by theater mode
   const SYNC_COOLDOWN = 300; // Minimum time between sync events in ms
   const TIME_DRIFT_TOLERANCE = 1; // Only sync if time difference > 1 second
+  const MAX_LATENCY_COMPENSATION = 5; // Never compensate for more than 5 seconds of transit
+  const BEACON_INTERVAL = 5000; // How often the host broadcasts its position while playing (ms)
+  const DRIFT_DEADBAND = 0.15; // Ignore drift below this many seconds
+  const MAX_NUDGE_DRIFT = 3; // Beyond this many seconds of drift, seek instead of nudging the rate
+  const MAX_RATE_NUDGE = 0.05; // Nudge playbackRate by at most ±5%
+  const NUDGE_WINDOW = 5; // Aim to close small drifts over roughly this many seconds
+  let isHost = false; // Whether we are the party host (the drift reference)
+  let rateNudge = null; // Active rate nudge: { baseRate, timer }
+  const programmaticRateChanges = new WeakMap(); // Video element -> ratechange events still to come from rates we set ourselves
   const PARTY_CODE_PLACEHOLDER = '------';
   let currentVideoUrl = null; // Track the current video URL for overlay display
+  let pendingPlayback = null; // Party playback snapshot to apply once the party's video is ready: { url, playing, position, playbackRate, anchor }
+  let chatOpen = false; // Whether the overlay chat panel is expanded
+  let chatHistory = []; // Chat messages shown in the overlay
+  const MAX_CHAT_HISTORY = 50; // Matches the history the background and server keep
+  const REACTION_EMOJIS = ['👍', '😂', '😮', '😢', '❤️', '🔥', '👏', '🎉']; // Must match the server's list
+  const REACTION_REPLAY_WINDOW = 2; // Replay timeline reactions passed within this many seconds (bigger jumps are seeks)
+  const REACTION_SHOWN_COOLDOWN = 10000; // Don't replay a reaction that was just shown live (ms)
+  let reactionTimeline = []; // Reactions for the current video, sorted by position
+  let lastReactionCheckTime = null; // Video time when the timeline was last checked for replays
+  let partyQueue = []; // Videos queued to play after the current one
+  let partyPolls = []; // Open polls, plus recently closed ones while their result is shown
+  const POLL_RESULT_DISPLAY = 5000; // How long a closed poll's result stays in the overlay (ms)
+  const POLL_RESULTS = { passed: 'Vote passed', failed: 'Vote failed', closed: 'Poll closed', expired: 'Poll expired' };
+  let readyCheck = null; // The party's open ready check, if any
+  let readyReportedFor = null; // Id of the ready check we already reported ready for
+  let countdownTimers = []; // Timers for the countdown digits and the synchronized start
+  const READY_POSITION_TOLERANCE = 1; // Seconds from the ready check position that still count as there
+  const HAVE_METADATA = 1; // HTMLMediaElement.readyState once its duration is known and it can be seeked
+  const HAVE_ENOUGH_DATA = 4; // HTMLMediaElement.readyState once it can play through without stalling
+  const HAVE_FUTURE_DATA = 3; // HTMLMediaElement.readyState once it has data to keep playing
+  const BUFFERING_REPORT_DELAY = 1000; // Only report stalls that last this long (ms), so seeks don't count
+  let isBuffering = false; // Whether we have told the party we are buffering
+  let bufferingTimer = null; // Pending buffering report
+  const AD_CHECK_INTERVAL = 1000; // How often to check whether an ad is playing (ms)
+  let isInAd = false; // Whether we have told the party we are watching an ad
+  const INVITE_MARKER = /(^|&)wparty(-invite)?=[^&]*/g; // Invite link parameters in the URL fragment or query
+  const INVITE_JOIN_ATTEMPTS = 5; // Tries to hand an invite to the background while it connects
+  const INVITE_RETRY_DELAY = 1000; // ms between those tries
+  let pendingInviteCode = null; // Party an invite link is joining, until it is joined or refused
+  const INVITE_JOIN_ERRORS = ['party-not-found', 'invalid-invite', 'invite-required', 'party-full', 'banned', 'incorrect-password']; // Error codes that refuse an invite link's join
 
   // Detect if the current site is Netflix (DRM-protected, requires special handling)
   function isNetflix() {
@@ -188,10 +228,54 @@
     console.log('Watch Party: Video element detected');
     attachVideoListeners();
     if (isInParty) {
+      applyPendingPlayback();
       sendVideoInfo();
+      if (readyCheck) prepareForReadyCheck();
     }
   }
 
+  // Remember the party's playback snapshot (kept up to date by the background script,
+  // anchored to local time) until a player on the party's video is ready for it
+  function setPendingPlayback(snapshot) {
+    pendingPlayback = snapshot && snapshot.url ? snapshot : null;
+  }
+
+  // Whether the page shows the video a playback snapshot belongs to
+  function isOnPartyVideo(snapshot) {
+    return normalizeYouTubeUrl(snapshot.url) === normalizeYouTubeUrl(window.location.href);
+  }
+
+  // Seek to the extrapolated party position and match its play/pause state, once we are
+  // on the party's video and the player can seek
+  function applyPendingPlayback() {
+    if (!pendingPlayback || !videoElement) return;
+    if (!isOnPartyVideo(pendingPlayback) || videoElement.readyState < HAVE_METADATA) return;
+    const playback = pendingPlayback;
+    pendingPlayback = null;
+
+    // A ready check countdown is still running: wait at its position and start with everyone
+    const startIn = playback.anchor - Date.now();
+    if (playback.playing && startIn > 0) {
+      console.log(`Watch Party: Waiting at ${playback.position.toFixed(1)}s for the countdown to end`);
+      applySyncEvent('pause', { currentTime: playback.position });
+      countdownTimers.push(setTimeout(() => {
+        applySyncEvent('play', { currentTime: playback.position, playbackRate: playback.playbackRate });
+      }, startIn));
+      return;
+    }
+
+    let position = playback.position;
+    if (playback.playing) {
+      position += ((Date.now() - playback.anchor) / 1000) * playback.playbackRate;
+    }
+
+    console.log(`Watch Party: Catching up to party position ${position.toFixed(1)}s`);
+    applySyncEvent(playback.playing ? 'play' : 'pause', {
+      currentTime: position,
+      playbackRate: playback.playbackRate
+    });
+  }
+
   // Attach event listeners to video element
   function attachVideoListeners() {
     if (!videoElement) return;
@@ -201,6 +285,15 @@
     videoElement.addEventListener('seeked', handleSeeked);
     videoElement.addEventListener('ratechange', handleRateChange);
     videoElement.addEventListener('loadeddata', handleVideoLoaded);
+    videoElement.addEventListener('timeupdate', replayTimelineReactions);
+    videoElement.addEventListener('durationchange', updateReactionTimeline);
+    videoElement.addEventListener('ended', handleEnded);
+    videoElement.addEventListener('canplaythrough', checkReadiness);
+    videoElement.addEventListener('seeked', checkReadiness);
+    videoElement.addEventListener('waiting', handleWaiting);
+    videoElement.addEventListener('stalled', handleWaiting);
+    videoElement.addEventListener('playing', handleBufferingEnd);
+    videoElement.addEventListener('canplay', handleBufferingEnd);
     
     console.log('Watch Party: Video listeners attached');
   }
@@ -214,6 +307,15 @@
     videoElement.removeEventListener('seeked', handleSeeked);
     videoElement.removeEventListener('ratechange', handleRateChange);
     videoElement.removeEventListener('loadeddata', handleVideoLoaded);
+    videoElement.removeEventListener('timeupdate', replayTimelineReactions);
+    videoElement.removeEventListener('durationchange', updateReactionTimeline);
+    videoElement.removeEventListener('ended', handleEnded);
+    videoElement.removeEventListener('canplaythrough', checkReadiness);
+    videoElement.removeEventListener('seeked', checkReadiness);
+    videoElement.removeEventListener('waiting', handleWaiting);
+    videoElement.removeEventListener('stalled', handleWaiting);
+    videoElement.removeEventListener('playing', handleBufferingEnd);
+    videoElement.removeEventListener('canplay', handleBufferingEnd);
   }
 
   // Handle play event
@@ -228,12 +330,13 @@
     console.log('Watch Party: Play event');
     sendSyncEvent('play', {
       currentTime: videoElement.currentTime,
-      playbackRate: videoElement.playbackRate
+      playbackRate: getBaseRate()
     });
   }
 
   // Handle pause event
   function handlePause() {
+    cancelRateNudge();
     if (isSyncing || !isInParty) return;
     if (isAdPlaying()) return;
     
@@ -258,12 +361,28 @@
 
     console.log('Watch Party: Seeked event');
     sendSyncEvent('seek', {
-      currentTime: videoElement.currentTime
+      currentTime: videoElement.currentTime,
+      playbackRate: getBaseRate(),
+      playing: !videoElement.paused
     });
   }
 
   // Handle rate change event
-  function handleRateChange() {
+  function handleRateChange(event) {
+    // Ignore the rate changes made by drift correction itself. Each one fires its own event,
+    // in order, so counting them keeps a user change made in between from being swallowed
+    const pending = programmaticRateChanges.get(event.target) || 0;
+    if (pending > 0) {
+      programmaticRateChanges.set(event.target, pending - 1);
+      return;
+    }
+
+    // Any other rate change (user or site) supersedes an active nudge
+    if (rateNudge) {
+      clearTimeout(rateNudge.timer);
+      rateNudge = null;
+    }
+
     if (isSyncing || !isInParty) return;
     if (isAdPlaying()) return;
     
@@ -274,13 +393,15 @@
     console.log('Watch Party: Rate change event');
     sendSyncEvent('ratechange', {
       playbackRate: videoElement.playbackRate,
-      currentTime: videoElement.currentTime
+      currentTime: videoElement.currentTime,
+      playing: !videoElement.paused
     });
   }
 
   // Handle new video loaded (e.g., YouTube autoplay next, playlist, Shorts)
   function handleVideoLoaded() {
     if (!isInParty) return;
+    applyPendingPlayback();
     const currentUrl = normalizeYouTubeUrl(window.location.href);
     if (currentUrl !== lastSentVideoUrl) {
       console.log('Watch Party: New video loaded, sending updated info');
@@ -288,6 +409,133 @@
     }
   }
 
+  // Handle the video finishing: let the server start the next queued video
+  function handleEnded() {
+    if (!isInParty) return;
+    if (isAdPlaying()) return;
+
+    console.log('Watch Party: Video ended');
+    chrome.runtime.sendMessage({
+      type: 'video-ended',
+      url: normalizeYouTubeUrl(window.location.href)
+    }).catch((error) => {
+      console.error('Watch Party: Error sending video ended:', error);
+    });
+  }
+
+  // Handle the video running out of data. `stalled` also fires while the
+  // buffer still holds enough to play, so only a real lack of data counts.
+  function handleWaiting() {
+    if (!isInParty || isBuffering || bufferingTimer) return;
+    if (videoElement.readyState >= HAVE_FUTURE_DATA) return;
+
+    bufferingTimer = setTimeout(() => {
+      bufferingTimer = null;
+      if (!isInParty || !videoElement || isAdPlaying()) return;
+      if (videoElement.readyState < HAVE_FUTURE_DATA) {
+        reportBuffering(true);
+      }
+    }, BUFFERING_REPORT_DELAY);
+  }
+
+  // Handle the video having enough data to play again
+  function handleBufferingEnd() {
+    if (videoElement.readyState < HAVE_FUTURE_DATA) return;
+    clearTimeout(bufferingTimer);
+    bufferingTimer = null;
+    if (isBuffering) {
+      reportBuffering(false);
+    }
+  }
+
+  // Tell the party when an ad break starts or ends, so it can wait for us and resync us afterwards
+  function checkAdState() {
+    if (!isInParty) return;
+    const inAd = isAdPlaying();
+    if (inAd === isInAd) return;
+
+    isInAd = inAd;
+    console.log(`Watch Party: Ad ${inAd ? 'started' : 'finished'}`);
+    chrome.runtime.sendMessage({ type: 'ad', inAd }).catch((error) => {
+      console.error('Watch Party: Error reporting ad:', error);
+    });
+    // A ready check may have been waiting for the ad to finish
+    if (!inAd) checkReadiness();
+  }
+
+  // Tell the party whether our video is buffering
+  function reportBuffering(buffering) {
+    isBuffering = buffering;
+    console.log(`Watch Party: ${buffering ? 'Buffering' : 'Done buffering'}`);
+    chrome.runtime.sendMessage({ type: 'buffering', buffering }).catch((error) => {
+      console.error('Watch Party: Error reporting buffering:', error);
+    });
+  }
+
+  // ============================================================
+  // Ready check: park the video at the agreed position, report once it
+  // can play through, then start on the server's countdown
+  // ============================================================
+
+  // Pause at the ready check position so the video can buffer there
+  function prepareForReadyCheck() {
+    if (!readyCheck || !videoElement) return;
+
+    applySyncEvent('pause', { currentTime: readyCheck.position });
+    if (Math.abs(videoElement.currentTime - readyCheck.position) > READY_POSITION_TOLERANCE) {
+      applySyncEvent('seek', { currentTime: readyCheck.position });
+    }
+    // Already buffered videos fire no further events
+    setTimeout(checkReadiness, SYNC_COOLDOWN);
+  }
+
+  // Report ready once the video has buffered at the ready check position
+  function checkReadiness() {
+    if (!readyCheck || readyReportedFor === readyCheck.id || !videoElement) return;
+    if (isAdPlaying() || videoElement.seeking) return;
+    if (videoElement.readyState < HAVE_ENOUGH_DATA) return;
+    if (Math.abs(videoElement.currentTime - readyCheck.position) > READY_POSITION_TOLERANCE) return;
+
+    readyReportedFor = readyCheck.id;
+    console.log('Watch Party: Ready for the countdown');
+    chrome.runtime.sendMessage({ type: 'ready', checkId: readyCheck.id, ready: true }).catch((error) => {
+      console.error('Watch Party: Error reporting ready:', error);
+    });
+  }
+
+  // Handle a ready check update from the server
+  function handleReadyCheck(check, startIn) {
+    if (check.status === 'open') {
+      const isNew = !readyCheck || readyCheck.id !== check.id;
+      readyCheck = check;
+      if (isNew) prepareForReadyCheck();
+    } else {
+      readyCheck = null;
+      if (check.status === 'started') {
+        runCountdown(check.seconds, startIn, check.position);
+      }
+    }
+    updateOverlayReadyCheck(check);
+  }
+
+  // Count down on screen and start playing at the agreed instant (`startIn` ms from now)
+  function runCountdown(seconds, startIn, position) {
+    countdownTimers.forEach(timer => clearTimeout(timer));
+    countdownTimers = [];
+
+    for (let n = seconds; n >= 1; n--) {
+      const delay = startIn - n * 1000;
+      if (delay >= 0) {
+        countdownTimers.push(setTimeout(() => showCountdown(String(n)), delay));
+      }
+    }
+    countdownTimers.push(setTimeout(() => {
+      showCountdown('▶');
+      // Catch up if the start message arrived late
+      applySyncEvent('play', { currentTime: position }, Math.max(0, -startIn) / 1000);
+    }, Math.max(0, startIn)));
+  }
+
   // Send sync event to background script
   function sendSyncEvent(action, data) {
     chrome.runtime.sendMessage({
@@ -307,11 +555,19 @@
     lastSentVideoUrl = currentUrl;
     currentVideoUrl = currentUrl;
     updateOverlayUrl(currentUrl);
+    // We have moved on from the video the snapshot was for, and the party follows us
+    if (pendingPlayback && !isOnPartyVideo(pendingPlayback)) {
+      pendingPlayback = null;
+    }
 
+    // Where we are, so a new party video starts from here for everyone
     const videoInfo = {
       url: currentUrl,
       title: document.title,
-      duration: videoElement.duration
+      duration: videoElement.duration,
+      currentTime: videoElement.currentTime,
+      playing: !videoElement.paused,
+      playbackRate: getBaseRate()
     };
 
     chrome.runtime.sendMessage({
@@ -322,11 +578,116 @@
     });
   }
 
-  // Apply sync event from remote participant
-  function applySyncEvent(action, data) {
+  // ============================================================
+  // Drift correction: the host beacons its position while playing and
+  // everyone else nudges their playback rate (or seeks) to stay with it
+  // ============================================================
+
+  // The playback rate the user chose, ignoring any temporary drift nudge
+  function getBaseRate() {
+    if (rateNudge) return rateNudge.baseRate;
+    return videoElement ? videoElement.playbackRate : 1;
+  }
+
+  // Set playbackRate without it being reported as a user rate change
+  function setRateSilently(rate) {
+    if (!videoElement || videoElement.playbackRate === rate) return;
+    programmaticRateChanges.set(videoElement, (programmaticRateChanges.get(videoElement) || 0) + 1);
+    videoElement.playbackRate = rate;
+  }
+
+  // Restore the base rate if a drift nudge is in progress
+  function cancelRateNudge() {
+    if (!rateNudge) return;
+    clearTimeout(rateNudge.timer);
+    const baseRate = rateNudge.baseRate;
+    rateNudge = null;
+    setRateSilently(baseRate);
+  }
+
+  // Briefly speed up or slow down to close a small drift (seconds, positive = behind)
+  function nudgeRate(drift) {
+    const baseRate = getBaseRate();
+    cancelRateNudge();
+
+    const adjustment = Math.max(-MAX_RATE_NUDGE, Math.min(MAX_RATE_NUDGE, drift / NUDGE_WINDOW));
+    const duration = Math.abs(drift) / (Math.abs(adjustment) * baseRate) * 1000;
+
+    rateNudge = {
+      baseRate,
+      timer: setTimeout(cancelRateNudge, duration)
+    };
+    setRateSilently(baseRate * (1 + adjustment));
+  }
+
+  // Send our position as the drift reference (host only, while playing)
+  function sendBeacon() {
+    if (!isInParty || !isHost || !videoElement) return;
+    if (videoElement.paused || videoElement.seeking || isAdPlaying()) return;
+
+    chrome.runtime.sendMessage({
+      type: 'sync-event',
+      action: 'beacon',
+      data: {
+        currentTime: videoElement.currentTime,
+        playbackRate: getBaseRate(),
+        playing: true
+      }
+    }).catch(() => {});
+  }
+
+  // Correct our drift against the host's beacon
+  function applyBeacon(data, elapsed) {
+    if (!videoElement || isSyncing || isHost) return;
+    if (videoElement.paused || videoElement.seeking || isAdPlaying()) return;
+    if (data.currentTime === undefined) return;
+
+    const target = getCompensatedTime('beacon', data, elapsed);
+    const drift = target - videoElement.currentTime;
+    const absDrift = Math.abs(drift);
+
+    if (absDrift < DRIFT_DEADBAND) {
+      cancelRateNudge();
+      return;
+    }
+
+    // Netflix rejects playbackRate changes, so it only ever gets hard seeks
+    if (isNetflix()) {
+      if (absDrift > MAX_NUDGE_DRIFT) {
+        applySyncEvent('seek', { currentTime: target });
+      }
+      return;
+    }
+
+    if (absDrift > MAX_NUDGE_DRIFT) {
+      applySyncEvent('seek', { currentTime: target });
+    } else {
+      nudgeRate(drift);
+    }
+  }
+
+  // Where the sender's video is by now, given how long the event spent in
+  // transit. Only a playing video moves on while the message is in flight.
+  function getCompensatedTime(action, data, elapsed) {
+    const playing = action === 'play' || (action !== 'pause' && data.playing === true);
+    if (!playing || !elapsed) return data.currentTime;
+    const rate = data.playbackRate || videoElement.playbackRate || 1;
+    return data.currentTime + Math.min(elapsed, MAX_LATENCY_COMPENSATION) * rate;
+  }
+
+  // Apply sync event from remote participant. `elapsed` is the transit time
+  // in seconds measured on the server's clock.
+  function applySyncEvent(action, data, elapsed = 0) {
     if (!videoElement) return;
     if (isAdPlaying()) return;
 
+    if (data.currentTime !== undefined) {
+      data = { ...data, currentTime: getCompensatedTime(action, data, elapsed) };
+    }
+
+    // Explicit events replace any drift correction in progress
+    cancelRateNudge();
+
     isSyncing = true;
     const onNetflix = isNetflix();
 
@@ -715,12 +1076,64 @@
       .wparty-dot.no-video {
         background: #6b7280;
       }
+      .wparty-dot.away {
+        border: 2px solid #6b7280;
+        box-sizing: border-box;
+      }
+      .wparty-dot.buffering {
+        background: #f59e0b;
+        animation: wparty-pulse 1s infinite;
+      }
+      @keyframes wparty-pulse {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0.4; }
+      }
+      .wparty-buffering {
+        font-size: 10px;
+        color: #f59e0b;
+        flex-shrink: 0;
+      }
+      .wparty-in-ad {
+        font-size: 9px;
+        font-weight: 700;
+        color: #1a1a2e;
+        background: #facc15;
+        border-radius: 3px;
+        padding: 0 3px;
+        flex-shrink: 0;
+      }
       .wparty-name {
         flex: 1;
         overflow: hidden;
         text-overflow: ellipsis;
         white-space: nowrap;
       }
+      .wparty-latency {
+        font-size: 10px;
+        color: #9ca3af;
+        flex-shrink: 0;
+      }
+      .wparty-host-badge {
+        font-size: 11px;
+        flex-shrink: 0;
+      }
+      .wparty-host-actions {
+        display: flex;
+        gap: 2px;
+        flex-shrink: 0;
+      }
+      .wparty-host-action {
+        background: none;
+        border: none;
+        color: #c4b5fd;
+        cursor: pointer;
+        font-size: 11px;
+        padding: 0 2px;
+        opacity: 0.6;
+      }
+      .wparty-host-action:hover {
+        opacity: 1;
+      }
       .wparty-count {
         background: rgba(139, 92, 246, 0.3);
         color: #c4b5fd;
@@ -757,6 +1170,20 @@
         text-decoration: underline;
         color: #c4b5fd;
       }
+      .wparty-up-next {
+        padding: 6px 8px;
+        margin-top: 6px;
+        background: rgba(99, 102, 241, 0.10);
+        border-radius: 6px;
+        font-size: 11px;
+        color: #c4b5fd;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .wparty-up-next.hidden {
+        display: none;
+      }
       .wparty-theater-section {
         display: flex;
         align-items: center;
@@ -812,6 +1239,238 @@
       .wparty-theater-toggle input:checked + .wparty-theater-slider::before {
         transform: translateX(14px);
       }
+      .wparty-reactions {
+        border-top: 1px solid rgba(139, 92, 246, 0.25);
+        padding: 6px 10px;
+      }
+      .wparty-panel.collapsed-panel .wparty-reactions {
+        display: none;
+      }
+      .wparty-reaction-picker {
+        display: flex;
+        justify-content: space-between;
+      }
+      .wparty-reaction-button {
+        background: none;
+        border: none;
+        cursor: pointer;
+        font-size: 15px;
+        padding: 0 1px;
+        transition: transform 0.1s;
+      }
+      .wparty-reaction-button:hover {
+        transform: scale(1.25);
+      }
+      .wparty-reaction-timeline {
+        position: relative;
+        height: 14px;
+        margin-top: 4px;
+        background: rgba(99, 102, 241, 0.15);
+        border-radius: 4px;
+      }
+      .wparty-reaction-timeline:empty {
+        display: none;
+      }
+      .wparty-reaction-marker {
+        position: absolute;
+        top: 0;
+        transform: translateX(-50%);
+        font-size: 9px;
+        line-height: 14px;
+        cursor: pointer;
+      }
+      .wparty-reaction-layer {
+        position: fixed;
+        pointer-events: none;
+        overflow: hidden;
+      }
+      .wparty-floating-reaction {
+        position: absolute;
+        bottom: 10%;
+        font-size: 32px;
+        animation: wparty-float 3s ease-out forwards;
+        text-shadow: 0 2px 6px rgba(0, 0, 0, 0.5);
+      }
+      .wparty-floating-reaction.replayed {
+        font-size: 24px;
+        opacity: 0.7;
+      }
+      .wparty-floating-reaction span {
+        display: block;
+        font-size: 10px;
+        color: #fff;
+        text-align: center;
+      }
+      @keyframes wparty-float {
+        0% { transform: translateY(0) scale(0.6); opacity: 0; }
+        15% { transform: translateY(-20px) scale(1); opacity: 1; }
+        100% { transform: translateY(-200px) scale(1); opacity: 0; }
+      }
+      .wparty-polls {
+        border-top: 1px solid rgba(139, 92, 246, 0.25);
+        padding: 6px 10px;
+      }
+      .wparty-panel.collapsed-panel .wparty-polls {
+        display: none;
+      }
+      .wparty-vote-actions {
+        display: flex;
+        gap: 4px;
+      }
+      .wparty-vote-start,
+      .wparty-poll-option {
+        background: rgba(99, 102, 241, 0.15);
+        border: 1px solid rgba(139, 92, 246, 0.3);
+        border-radius: 5px;
+        color: #e0e0e0;
+        cursor: pointer;
+        font-size: 10px;
+        padding: 2px 6px;
+      }
+      .wparty-vote-start:hover,
+      .wparty-poll-option:hover {
+        background: rgba(99, 102, 241, 0.3);
+      }
+      .wparty-poll-option.voted {
+        border-color: #22c55e;
+        color: #22c55e;
+      }
+      .wparty-poll {
+        margin-top: 6px;
+        font-size: 11px;
+      }
+      .wparty-poll-question {
+        color: #c4b5fd;
+        margin-bottom: 3px;
+      }
+      .wparty-poll-options {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+      }
+      .wparty-poll-status {
+        color: #9ca3af;
+        font-size: 10px;
+        margin-top: 2px;
+      }
+      .wparty-ready-check {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        border-top: 1px solid rgba(139, 92, 246, 0.25);
+        padding: 6px 10px;
+        font-size: 11px;
+        color: #c4b5fd;
+      }
+      .wparty-panel.collapsed-panel .wparty-ready-check {
+        display: none;
+      }
+      .wparty-ready-status {
+        flex: 1;
+      }
+      .wparty-ready-badge {
+        font-size: 10px;
+        flex-shrink: 0;
+      }
+      .wparty-countdown {
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        font-size: 96px;
+        font-weight: 700;
+        color: #fff;
+        text-shadow: 0 4px 16px rgba(0, 0, 0, 0.7);
+        animation: wparty-countdown 1s ease-out forwards;
+      }
+      @keyframes wparty-countdown {
+        0% { transform: translate(-50%, -50%) scale(1.4); opacity: 0; }
+        20% { transform: translate(-50%, -50%) scale(1); opacity: 1; }
+        100% { transform: translate(-50%, -50%) scale(0.9); opacity: 0; }
+      }
+      .wparty-chat {
+        border-top: 1px solid rgba(139, 92, 246, 0.25);
+      }
+      .wparty-panel.collapsed-panel .wparty-chat {
+        display: none;
+      }
+      .wparty-chat-toggle {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        width: 100%;
+        background: none;
+        border: none;
+        color: #c4b5fd;
+        cursor: pointer;
+        font: inherit;
+        font-size: 11px;
+        padding: 6px 10px;
+        text-align: left;
+      }
+      .wparty-chat-unread {
+        background: #ef4444;
+        color: #fff;
+        border-radius: 8px;
+        padding: 0 6px;
+        font-size: 10px;
+        font-weight: 600;
+      }
+      .wparty-chat-unread:empty {
+        display: none;
+      }
+      .wparty-chat-body {
+        padding: 0 10px 8px;
+      }
+      .wparty-chat-body.collapsed {
+        display: none;
+      }
+      .wparty-chat-messages {
+        max-height: 140px;
+        overflow-y: auto;
+        margin-bottom: 6px;
+        font-size: 12px;
+      }
+      .wparty-chat-message {
+        padding: 2px 0;
+        word-wrap: break-word;
+      }
+      .wparty-chat-author {
+        font-weight: 600;
+        color: #a78bfa;
+        margin-right: 4px;
+      }
+      .wparty-chat-message.own .wparty-chat-author {
+        color: #22c55e;
+      }
+      .wparty-chat-form {
+        display: flex;
+        gap: 4px;
+      }
+      .wparty-chat-input {
+        flex: 1;
+        min-width: 0;
+        background: rgba(55, 65, 81, 0.9);
+        border: 1px solid #4b5563;
+        border-radius: 5px;
+        color: #e0e0e0;
+        font: inherit;
+        font-size: 12px;
+        padding: 4px 6px;
+      }
+      .wparty-chat-input:focus {
+        outline: none;
+        border-color: #8b5cf6;
+      }
+      .wparty-chat-send {
+        background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%);
+        border: none;
+        border-radius: 5px;
+        color: #fff;
+        cursor: pointer;
+        font-size: 11px;
+        padding: 4px 8px;
+      }
     `;
 
     const panel = document.createElement('div');
@@ -911,6 +1570,11 @@
     urlSection.appendChild(urlLink);
     body.appendChild(urlSection);
 
+    // Next queued video
+    const upNext = document.createElement('div');
+    upNext.className = 'wparty-up-next hidden';
+    body.appendChild(upNext);
+
     // Theater mode toggle section
     const theaterSection = document.createElement('div');
     theaterSection.className = 'wparty-theater-section';
@@ -955,9 +1619,18 @@
 
     panel.appendChild(header);
     panel.appendChild(body);
+    panel.appendChild(createOverlayReactions());
+    panel.appendChild(createOverlayPolls());
+    panel.appendChild(createOverlayReadyCheck());
+    panel.appendChild(createOverlayChat());
     shadow.appendChild(style);
     shadow.appendChild(panel);
 
+    // Floating reactions are drawn over the video from the same shadow root
+    const reactionLayer = document.createElement('div');
+    reactionLayer.className = 'wparty-reaction-layer';
+    shadow.appendChild(reactionLayer);
+
     document.documentElement.appendChild(overlayElement);
 
     // Make draggable via header
@@ -1010,6 +1683,504 @@
     overlayShadow = null;
   }
 
+  // Build the overlay reaction picker and the reaction timeline for the current video
+  function createOverlayReactions() {
+    const section = document.createElement('div');
+    section.className = 'wparty-reactions';
+
+    const picker = document.createElement('div');
+    picker.className = 'wparty-reaction-picker';
+    REACTION_EMOJIS.forEach((emoji) => {
+      const btn = document.createElement('button');
+      btn.className = 'wparty-reaction-button';
+      btn.textContent = emoji;
+      btn.title = `React with ${emoji}`;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        sendReaction(emoji);
+      });
+      picker.appendChild(btn);
+    });
+
+    const timeline = document.createElement('div');
+    timeline.className = 'wparty-reaction-timeline';
+
+    section.appendChild(picker);
+    section.appendChild(timeline);
+    return section;
+  }
+
+  // Format a video position as m:ss or h:mm:ss
+  function formatPosition(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  // React at the current video position: show it here right away and send it to the party
+  function sendReaction(emoji) {
+    if (!videoElement || !isInParty) return;
+
+    const reaction = {
+      clientId: myClientId,
+      username: 'You',
+      emoji,
+      position: videoElement.currentTime,
+      shownAt: Date.now()
+    };
+    addTimelineReaction(reaction);
+    showReaction(emoji, reaction.username, false);
+
+    chrome.runtime.sendMessage({ type: 'send-reaction', emoji, position: reaction.position }).catch((error) => {
+      console.error('Watch Party: Error sending reaction:', error);
+    });
+  }
+
+  // Float a reaction up over the video
+  function showReaction(emoji, username, replayed) {
+    const layer = placeReactionLayer();
+    if (!layer) return;
+
+    const bubble = document.createElement('div');
+    bubble.className = 'wparty-floating-reaction';
+    if (replayed) bubble.classList.add('replayed');
+    bubble.style.left = `${10 + Math.random() * 80}%`;
+    bubble.textContent = emoji;
+
+    const name = document.createElement('span');
+    name.textContent = username;
+    bubble.appendChild(name);
+
+    bubble.addEventListener('animationend', () => bubble.remove());
+    layer.appendChild(bubble);
+  }
+
+  // Line the floating layer up with the video's current box, which moves with
+  // theater mode, scrolling and resizing
+  function placeReactionLayer() {
+    if (!overlayShadow || !videoElement) return null;
+    const layer = overlayShadow.querySelector('.wparty-reaction-layer');
+    if (!layer) return null;
+
+    const rect = videoElement.getBoundingClientRect();
+    layer.style.left = `${rect.left}px`;
+    layer.style.top = `${rect.top}px`;
+    layer.style.width = `${rect.width}px`;
+    layer.style.height = `${rect.height}px`;
+    return layer;
+  }
+
+  // Flash a countdown step over the video
+  function showCountdown(text) {
+    const layer = placeReactionLayer();
+    if (!layer) return;
+
+    const step = document.createElement('div');
+    step.className = 'wparty-countdown';
+    step.textContent = text;
+    step.addEventListener('animationend', () => step.remove());
+    layer.appendChild(step);
+  }
+
+  // Replace the reaction timeline (e.g. with the stored reactions sent on join)
+  function setReactionTimeline(reactions) {
+    reactionTimeline = reactions.slice().sort((a, b) => a.position - b.position);
+    lastReactionCheckTime = null;
+    updateReactionTimeline();
+  }
+
+  // Add a reaction to the timeline, keeping it sorted by position
+  function addTimelineReaction(reaction) {
+    const index = reactionTimeline.findIndex(r => r.position > reaction.position);
+    if (index === -1) {
+      reactionTimeline.push(reaction);
+    } else {
+      reactionTimeline.splice(index, 0, reaction);
+    }
+    updateReactionTimeline();
+  }
+
+  // Draw the timeline markers in the overlay
+  function updateReactionTimeline() {
+    if (!overlayShadow) return;
+    const timeline = overlayShadow.querySelector('.wparty-reaction-timeline');
+    if (!timeline) return;
+
+    timeline.innerHTML = '';
+    const duration = videoElement ? videoElement.duration : NaN;
+    if (!isFinite(duration) || duration <= 0) return;
+
+    reactionTimeline.forEach((reaction) => {
+      const marker = document.createElement('span');
+      marker.className = 'wparty-reaction-marker';
+      marker.style.left = `${Math.min(100, (reaction.position / duration) * 100)}%`;
+      marker.textContent = reaction.emoji;
+      marker.title = `${reaction.username} ${reaction.emoji} at ${formatPosition(reaction.position)}`;
+      marker.addEventListener('click', (e) => {
+        e.stopPropagation();
+        // A user seek, so it is shared with the party like any other
+        if (videoElement) videoElement.currentTime = reaction.position;
+      });
+      timeline.appendChild(marker);
+    });
+  }
+
+  // Replay stored reactions as playback passes their positions
+  function replayTimelineReactions() {
+    if (!videoElement || reactionTimeline.length === 0) return;
+
+    const now = videoElement.currentTime;
+    const last = lastReactionCheckTime;
+    lastReactionCheckTime = now;
+    if (last === null || now <= last || now - last > REACTION_REPLAY_WINDOW) return;
+
+    reactionTimeline.forEach((reaction) => {
+      if (reaction.position <= last || reaction.position > now) return;
+      if (reaction.shownAt && Date.now() - reaction.shownAt < REACTION_SHOWN_COOLDOWN) return;
+      reaction.shownAt = Date.now();
+      showReaction(reaction.emoji, reaction.username, true);
+    });
+  }
+
+  // Build the overlay poll section: buttons to start action votes and the open polls
+  function createOverlayPolls() {
+    const section = document.createElement('div');
+    section.className = 'wparty-polls';
+
+    const actions = document.createElement('div');
+    actions.className = 'wparty-vote-actions';
+    const votes = [
+      { kind: 'skip', label: '⏭ Skip', title: 'Vote to skip to the next queued video' },
+      { kind: 'pause', label: '⏸ 5 min', title: 'Vote to pause for 5 minutes' },
+      { kind: 'rewind', label: '⏪ 30s', title: 'Vote to rewind 30 seconds' }
+    ];
+    votes.forEach(({ kind, label, title }) => {
+      const btn = document.createElement('button');
+      btn.className = 'wparty-vote-start';
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        sendPollMessage({ type: 'poll-create', kind });
+      });
+      actions.appendChild(btn);
+    });
+
+    const list = document.createElement('div');
+    list.className = 'wparty-poll-list';
+
+    section.appendChild(actions);
+    section.appendChild(list);
+    return section;
+  }
+
+  // Build the overlay ready check row: a button to start one and who is ready so far
+  function createOverlayReadyCheck() {
+    const section = document.createElement('div');
+    section.className = 'wparty-ready-check';
+
+    const status = document.createElement('span');
+    status.className = 'wparty-ready-status';
+    status.textContent = 'Everyone ready?';
+
+    const startBtn = document.createElement('button');
+    startBtn.className = 'wparty-vote-start wparty-ready-start';
+    startBtn.textContent = '✋ Ready check';
+    startBtn.title = 'Pause everyone here and start together once all videos have loaded';
+    startBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const message = { type: 'ready-check' };
+      if (videoElement) message.position = videoElement.currentTime;
+      chrome.runtime.sendMessage(message).catch((error) => {
+        console.error('Watch Party: Error starting ready check:', error);
+      });
+    });
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'wparty-vote-start wparty-ready-cancel';
+    cancelBtn.textContent = '✖';
+    cancelBtn.title = 'Cancel the ready check';
+    cancelBtn.style.display = 'none';
+    cancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (!readyCheck) return;
+      chrome.runtime.sendMessage({ type: 'ready-check-cancel', checkId: readyCheck.id }).catch((error) => {
+        console.error('Watch Party: Error cancelling ready check:', error);
+      });
+    });
+
+    section.appendChild(status);
+    section.appendChild(startBtn);
+    section.appendChild(cancelBtn);
+    return section;
+  }
+
+  // Show the ready check's progress in the overlay
+  function updateOverlayReadyCheck(check) {
+    if (!overlayShadow) return;
+    const status = overlayShadow.querySelector('.wparty-ready-status');
+    const startBtn = overlayShadow.querySelector('.wparty-ready-start');
+    const cancelBtn = overlayShadow.querySelector('.wparty-ready-cancel');
+    if (!status || !startBtn || !cancelBtn) return;
+
+    const open = check && check.status === 'open';
+    startBtn.style.display = open ? 'none' : '';
+    cancelBtn.style.display = open && (isHost || check.startedById === myClientId) ? '' : 'none';
+
+    if (open) {
+      status.textContent = `✋ ${check.readyCount}/${check.total} ready at ${formatPosition(check.position)}`;
+    } else if (check && check.status === 'started') {
+      status.textContent = 'Everyone is ready!';
+    } else if (check && check.status === 'cancelled') {
+      status.textContent = 'Ready check cancelled';
+    } else if (check && check.status === 'expired') {
+      status.textContent = 'Not everyone got ready in time';
+    } else {
+      status.textContent = 'Everyone ready?';
+    }
+  }
+
+  // Send a poll message (poll-create, poll-vote, poll-close) to the background script
+  function sendPollMessage(message) {
+    chrome.runtime.sendMessage(message).catch((error) => {
+      console.error('Watch Party: Error sending poll message:', error);
+    });
+  }
+
+  // Replace the polls shown in the overlay
+  function setPolls(polls) {
+    partyPolls = polls.filter(poll => poll.status === 'open');
+    renderOverlayPolls();
+  }
+
+  // Show a poll update; a closed poll shows its result for a few seconds
+  function updatePoll(poll) {
+    partyPolls = partyPolls.filter(entry => entry.id !== poll.id);
+    partyPolls.push(poll);
+    if (poll.status !== 'open') {
+      setTimeout(() => {
+        partyPolls = partyPolls.filter(entry => entry !== poll);
+        renderOverlayPolls();
+      }, POLL_RESULT_DISPLAY);
+    }
+    renderOverlayPolls();
+  }
+
+  // Redraw the overlay's polls with their live tallies
+  function renderOverlayPolls() {
+    if (!overlayShadow) return;
+    const list = overlayShadow.querySelector('.wparty-poll-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    partyPolls.forEach((poll) => {
+      const item = document.createElement('div');
+      item.className = 'wparty-poll';
+
+      const question = document.createElement('div');
+      question.className = 'wparty-poll-question';
+      question.textContent = `📊 ${poll.question}`;
+      question.title = `Started by ${poll.createdBy}`;
+      item.appendChild(question);
+
+      const options = document.createElement('div');
+      options.className = 'wparty-poll-options';
+      const myVote = poll.votes ? poll.votes[myClientId] : undefined;
+      poll.options.forEach((option, index) => {
+        const btn = document.createElement('button');
+        btn.className = 'wparty-poll-option';
+        if (myVote === index) btn.classList.add('voted');
+        btn.textContent = `${option} (${poll.tallies[index]})`;
+        btn.disabled = poll.status !== 'open';
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          sendPollMessage({ type: 'poll-vote', pollId: poll.id, option: index });
+        });
+        options.appendChild(btn);
+      });
+      item.appendChild(options);
+
+      const status = document.createElement('div');
+      status.className = 'wparty-poll-status';
+      if (poll.status !== 'open') {
+        status.textContent = POLL_RESULTS[poll.status] || 'Poll ended';
+      } else if (poll.required) {
+        status.textContent = `${poll.tallies[0]}/${poll.required} votes needed`;
+      }
+      if (status.textContent) item.appendChild(status);
+
+      list.appendChild(item);
+    });
+  }
+
+  // Build the overlay chat section (kept outside the body so participant rows stay above it)
+  function createOverlayChat() {
+    const chatSection = document.createElement('div');
+    chatSection.className = 'wparty-chat';
+
+    const chatToggle = document.createElement('button');
+    chatToggle.className = 'wparty-chat-toggle';
+    chatToggle.title = 'Toggle chat';
+    const chatLabel = document.createElement('span');
+    chatLabel.textContent = '💬 Chat';
+    const chatUnread = document.createElement('span');
+    chatUnread.className = 'wparty-chat-unread';
+    chatToggle.appendChild(chatLabel);
+    chatToggle.appendChild(chatUnread);
+
+    const chatBody = document.createElement('div');
+    chatBody.className = 'wparty-chat-body';
+    if (!chatOpen) chatBody.classList.add('collapsed');
+
+    const chatMessages = document.createElement('div');
+    chatMessages.className = 'wparty-chat-messages';
+
+    const chatForm = document.createElement('form');
+    chatForm.className = 'wparty-chat-form';
+    const chatInput = document.createElement('input');
+    chatInput.type = 'text';
+    chatInput.className = 'wparty-chat-input';
+    chatInput.placeholder = 'Say something...';
+    chatInput.maxLength = 500;
+    chatInput.autocomplete = 'off';
+    const chatSend = document.createElement('button');
+    chatSend.type = 'submit';
+    chatSend.className = 'wparty-chat-send';
+    chatSend.textContent = 'Send';
+    chatForm.appendChild(chatInput);
+    chatForm.appendChild(chatSend);
+
+    // Keep typing out of the page's keyboard shortcuts (space, k, f, ...)
+    ['keydown', 'keyup', 'keypress'].forEach((type) => {
+      chatInput.addEventListener(type, (e) => e.stopPropagation());
+    });
+
+    chatToggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      chatOpen = !chatOpen;
+      chatBody.classList.toggle('collapsed', !chatOpen);
+      if (chatOpen) {
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        markChatRead();
+        chatInput.focus();
+      }
+    });
+
+    chatForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const text = chatInput.value.trim();
+      if (!text) return;
+      chrome.runtime.sendMessage({ type: 'send-chat', text }).then((response) => {
+        if (response && response.success) chatInput.value = '';
+      }).catch((error) => {
+        console.error('Watch Party: Error sending chat message:', error);
+      });
+    });
+
+    chatBody.appendChild(chatMessages);
+    chatBody.appendChild(chatForm);
+    chatSection.appendChild(chatToggle);
+    chatSection.appendChild(chatBody);
+
+    chatHistory.forEach(entry => chatMessages.appendChild(createOverlayChatMessage(entry)));
+    return chatSection;
+  }
+
+  // Build a chat message row for the overlay
+  function createOverlayChatMessage(entry) {
+    const row = document.createElement('div');
+    row.className = 'wparty-chat-message';
+    if (entry.clientId === myClientId) row.classList.add('own');
+    row.title = new Date(entry.timestamp).toLocaleTimeString();
+
+    const author = document.createElement('span');
+    author.className = 'wparty-chat-author';
+    author.textContent = entry.username;
+
+    const text = document.createElement('span');
+    text.textContent = entry.text;
+
+    row.appendChild(author);
+    row.appendChild(text);
+    return row;
+  }
+
+  // Replace the overlay chat with the given history
+  function setOverlayChat(history) {
+    chatHistory = history.slice(-MAX_CHAT_HISTORY);
+    if (!overlayShadow) return;
+    const chatMessages = overlayShadow.querySelector('.wparty-chat-messages');
+    if (!chatMessages) return;
+    chatMessages.innerHTML = '';
+    chatHistory.forEach(entry => chatMessages.appendChild(createOverlayChatMessage(entry)));
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  // Add an incoming chat message to the overlay
+  function appendOverlayChat(entry) {
+    chatHistory.push(entry);
+    chatHistory = chatHistory.slice(-MAX_CHAT_HISTORY);
+    if (!overlayShadow) return;
+    const chatMessages = overlayShadow.querySelector('.wparty-chat-messages');
+    if (!chatMessages) return;
+    chatMessages.appendChild(createOverlayChatMessage(entry));
+    while (chatMessages.children.length > MAX_CHAT_HISTORY) {
+      chatMessages.firstElementChild.remove();
+    }
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  // Show the unread chat count on the overlay's chat toggle
+  function updateOverlayChatUnread(count) {
+    if (!overlayShadow) return;
+    const badge = overlayShadow.querySelector('.wparty-chat-unread');
+    if (badge) {
+      badge.textContent = count > 0 ? String(count) : '';
+    }
+  }
+
+  // Whether the chat panel is on screen, so new messages count as read
+  function isOverlayChatVisible() {
+    return !!overlayShadow && chatOpen && !overlayCollapsed;
+  }
+
+  // Tell the background that the chat has been read
+  function markChatRead() {
+    updateOverlayChatUnread(0);
+    chrome.runtime.sendMessage({ type: 'mark-chat-read' }).catch(() => {});
+  }
+
+  // Build host-only moderation buttons for a participant row in the overlay
+  function createOverlayHostActions(participant) {
+    const actions = document.createElement('span');
+    actions.className = 'wparty-host-actions';
+
+    const buttons = [
+      { type: 'transfer-host', label: '👑', title: 'Make host' },
+      { type: 'kick', label: '✖', title: 'Kick from party' },
+      { type: 'ban', label: '⛔', title: 'Ban from party' }
+    ];
+
+    buttons.forEach(({ type, label, title }) => {
+      const btn = document.createElement('button');
+      btn.className = 'wparty-host-action';
+      btn.textContent = label;
+      btn.title = `${title}: ${participant.username}`;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        chrome.runtime.sendMessage({ type, targetId: participant.id }).catch((error) => {
+          console.error('Watch Party: Error sending host action:', error);
+        });
+      });
+      actions.appendChild(btn);
+    });
+
+    return actions;
+  }
+
   // Update overlay with participant data
   function updateOverlay(participants) {
     if (!overlayElement || !overlayShadow) return;
@@ -1039,6 +2210,8 @@
       urlLink.title = displayUrl;
     }
 
+    const amHost = participants.some(p => p && p.isHost && p.id === myClientId);
+
     participants.forEach(participant => {
       const row = document.createElement('div');
       row.className = 'wparty-participant';
@@ -1054,7 +2227,13 @@
         row.appendChild(dot);
         row.appendChild(name);
       } else {
-        if (!participant.videoUrl) {
+        if (participant.away) {
+          dot.classList.add('away');
+          dot.title = 'Reconnecting…';
+        } else if (participant.buffering) {
+          dot.classList.add('buffering');
+          dot.title = 'Buffering…';
+        } else if (!participant.videoUrl) {
           dot.classList.add('no-video');
           dot.title = 'No video detected';
         } else if (participant.synced) {
@@ -1071,12 +2250,60 @@
 
         row.appendChild(dot);
         row.appendChild(name);
+
+        if (typeof participant.latency === 'number' && !participant.away) {
+          const latency = document.createElement('span');
+          latency.className = 'wparty-latency';
+          latency.textContent = `${participant.latency} ms`;
+          latency.title = 'Round-trip latency to the server';
+          row.appendChild(latency);
+        }
+
+        if (participant.inAd) {
+          const inAd = document.createElement('span');
+          inAd.className = 'wparty-in-ad';
+          inAd.textContent = 'AD';
+          inAd.title = 'Watching an ad';
+          row.appendChild(inAd);
+        } else if (participant.buffering) {
+          const buffering = document.createElement('span');
+          buffering.className = 'wparty-buffering';
+          buffering.textContent = 'buffering…';
+          row.appendChild(buffering);
+        }
+
+        // Shown while a ready check is running
+        if (typeof participant.ready === 'boolean') {
+          const readyBadge = document.createElement('span');
+          readyBadge.className = 'wparty-ready-badge';
+          readyBadge.textContent = participant.ready ? '✅' : '⏳';
+          readyBadge.title = participant.ready ? 'Ready' : 'Getting ready…';
+          row.appendChild(readyBadge);
+        }
+
+        if (participant.isHost) {
+          const hostBadge = document.createElement('span');
+          hostBadge.className = 'wparty-host-badge';
+          hostBadge.textContent = '👑';
+          hostBadge.title = 'Host';
+          row.appendChild(hostBadge);
+        }
+
+        if (amHost && participant.id && participant.id !== myClientId) {
+          row.appendChild(createOverlayHostActions(participant));
+        }
       }
 
       body.appendChild(row);
     });
   }
 
+  // Track whether we hold the host role (the host is the drift reference)
+  function updateHostStatus(participants) {
+    isHost = participants.some(p => p && p.isHost && p.id === myClientId);
+    if (isHost) cancelRateNudge();
+  }
+
   // Update connection status indicator in the overlay
   function updateOverlayConnectionStatus(status) {
     if (!overlayShadow) return;
@@ -1114,6 +2341,24 @@
     }
   }
 
+  // Show the next queued video in the overlay
+  function updateOverlayQueue(queue) {
+    partyQueue = queue || [];
+    if (!overlayShadow) return;
+    const upNext = overlayShadow.querySelector('.wparty-up-next');
+    if (!upNext) return;
+
+    if (partyQueue.length === 0) {
+      upNext.classList.add('hidden');
+      return;
+    }
+    const next = partyQueue[0];
+    const more = partyQueue.length > 1 ? ` (+${partyQueue.length - 1} more)` : '';
+    upNext.textContent = `⏭ Up next: ${next.title || next.url}${more}`;
+    upNext.title = next.url;
+    upNext.classList.remove('hidden');
+  }
+
   // Update theater mode toggle state in the overlay
   function updateOverlayTheaterToggle(enabled) {
     if (!overlayShadow) return;
@@ -1129,31 +2374,86 @@
 
     switch (message.type) {
       case 'sync':
-        if (message.data) {
-          applySyncEvent(message.data.action, message.data.data || {});
+        // A video still loading catches up from the latest position once it is ready
+        if (pendingPlayback && message.partyPlayback) {
+          setPendingPlayback(message.partyPlayback);
+        }
+        if (message.data && message.data.action === 'beacon') {
+          applyBeacon(message.data.data || {}, message.data.elapsed || 0);
+        } else if (message.data) {
+          applySyncEvent(message.data.action, message.data.data || {}, message.data.elapsed || 0);
         }
         break;
 
       case 'joined':
         isInParty = true;
+        pendingInviteCode = null;
         if (message.data && message.data.partyCode) {
           currentPartyCode = message.data.partyCode;
         }
+        if (message.data && message.data.clientId) {
+          myClientId = message.data.clientId;
+        }
         console.log('Watch Party: Joined party');
+        setPendingPlayback(message.data && message.data.partyPlayback);
+        applyPendingPlayback();
         createOverlay();
         updateOverlayPartyCode(currentPartyCode);
         updateOverlayConnectionStatus('connected');
-        if (videoElement) {
+        // A tab on some other video does not move the party to it; the tab the join came
+        // from is sent to the party video separately (go-to-party-video)
+        if (videoElement && !(pendingPlayback && !isOnPartyVideo(pendingPlayback))) {
           sendVideoInfo();
         }
         if (message.data && message.data.participants) {
+          updateHostStatus(message.data.participants);
           updateOverlay(message.data.participants);
         }
+        setOverlayChat((message.data && message.data.chat) || []);
+        updateOverlayChatUnread(0);
+        setReactionTimeline((message.data && message.data.reactions) || []);
+        updateOverlayQueue((message.data && message.data.queue) || []);
+        setPolls((message.data && message.data.polls) || []);
+        if (message.data && message.data.readyCheck) {
+          handleReadyCheck(message.data.readyCheck, null);
+        }
+        break;
+
+      case 'go-to-party-video':
+        // Sent only to the tab a join came from; the snapshot is picked up again from the
+        // background once the party video's page loads
+        if (message.partyPlayback && !isOnPartyVideo(message.partyPlayback)) {
+          console.log('Watch Party: Navigating to the party video:', message.partyPlayback.url);
+          window.location.href = message.partyPlayback.url;
+        }
+        break;
+
+      case 'error':
+        // Only errors refusing an invite link's join are shown here; the popup shows the rest
+        if (pendingInviteCode && INVITE_JOIN_ERRORS.includes(message.code)) {
+          alert(`Could not join watch party ${pendingInviteCode}: ${message.message}`);
+          pendingInviteCode = null;
+        }
         break;
 
       case 'left':
         isInParty = false;
         currentPartyCode = null;
+        myClientId = null;
+        isHost = false;
+        pendingPlayback = null;
+        chatHistory = [];
+        reactionTimeline = [];
+        partyQueue = [];
+        partyPolls = [];
+        readyCheck = null;
+        isBuffering = false;
+        isInAd = false;
+        clearTimeout(bufferingTimer);
+        bufferingTimer = null;
+        countdownTimers.forEach(timer => clearTimeout(timer));
+        countdownTimers = [];
+        cancelRateNudge();
         console.log('Watch Party: Left party');
         disableTheaterMode();
         chrome.storage.local.set({ theaterMode: false });
@@ -1162,6 +2462,7 @@
 
       case 'participants':
         if (message.data && message.data.participants) {
+          updateHostStatus(message.data.participants);
           if (isInParty) {
             if (!overlayElement) createOverlay();
             updateOverlay(message.data.participants);
@@ -1173,10 +2474,52 @@
         updateOverlayConnectionStatus(message.status);
         break;
 
+      case 'chat':
+        if (message.data) {
+          appendOverlayChat(message.data);
+          if (isOverlayChatVisible()) {
+            if (message.unread > 0) markChatRead();
+          } else {
+            updateOverlayChatUnread(message.unread);
+          }
+        }
+        break;
+
+      case 'chat-unread':
+        updateOverlayChatUnread(message.count);
+        break;
+
+      case 'reaction':
+        if (message.data) {
+          addTimelineReaction({ ...message.data, shownAt: Date.now() });
+          showReaction(message.data.emoji, message.data.username, false);
+        }
+        break;
+
+      case 'queue':
+        updateOverlayQueue(message.queue);
+        break;
+
+      case 'poll':
+        if (message.poll) {
+          updatePoll(message.poll);
+        }
+        break;
+
+      case 'ready-check':
+        if (message.readyCheck) {
+          handleReadyCheck(message.readyCheck, message.startIn);
+        }
+        break;
+
       case 'video-info':
         if (message.data && message.data.data) {
           console.log('Watch Party: Party video info updated:', message.data.data.url);
           if (message.data.data.url) {
+            // A new party video starts a new reaction timeline
+            if (currentVideoUrl && message.data.data.url !== currentVideoUrl) {
+              setReactionTimeline([]);
+            }
             currentVideoUrl = message.data.data.url;
             updateOverlayUrl(currentVideoUrl);
           }
@@ -1186,10 +2529,13 @@
       case 'video-changed':
         if (message.data && message.data.url) {
           const newUrl = normalizeYouTubeUrl(message.data.url);
+          setPendingPlayback(message.partyPlayback);
           // Only navigate if the URL is different from the current page (normalize YouTube URLs for comparison)
           if (newUrl !== normalizeYouTubeUrl(window.location.href)) {
             console.log('Watch Party: Video changed by ' + (message.username || 'participant') + ', navigating to:', newUrl);
             window.location.href = newUrl;
+          } else {
+            applyPendingPlayback();
           }
         }
         break;
@@ -1211,12 +2557,25 @@
         if (response.partyCode) {
           currentPartyCode = response.partyCode;
         }
+        myClientId = response.clientId || null;
+        chatHistory = response.chatHistory || [];
         createOverlay();
+        updateOverlayChatUnread(response.unreadChat || 0);
+        setReactionTimeline(response.reactionTimeline || []);
+        updateOverlayQueue(response.queue || []);
+        setPolls(response.polls || []);
+        if (response.readyCheck) {
+          handleReadyCheck(response.readyCheck, null);
+        }
         updateOverlayPartyCode(currentPartyCode);
         updateOverlayConnectionStatus(response.connectionStatus || 'disconnected');
         if (response.participants) {
+          updateHostStatus(response.participants);
           updateOverlay(response.participants);
         }
+        // A page loaded after joining (or after the party changed video) catches up here
+        setPendingPlayback(response.partyPlayback);
+        applyPendingPlayback();
         if (videoElement) {
           sendVideoInfo();
         }
@@ -1231,15 +2590,77 @@
     }
   }
 
+  // Read an invite link's party code and one-time token, then take them out of
+  // the address bar so they are not reused on reload or shared onwards
+  function takeInviteFromUrl() {
+    let partyCode = null;
+    let inviteToken = null;
+    for (const part of [window.location.hash, window.location.search]) {
+      const params = new URLSearchParams(part.slice(1));
+      partyCode = partyCode || params.get('wparty');
+      inviteToken = inviteToken || params.get('wparty-invite');
+    }
+    if (!partyCode) return null;
+
+    const strip = (part) => part.slice(1).replace(INVITE_MARKER, '').replace(/^&/, '');
+    const hash = strip(window.location.hash);
+    const search = strip(window.location.search);
+    const url = window.location.pathname + (search ? `?${search}` : '') + (hash ? `#${hash}` : '');
+    history.replaceState(history.state, '', url);
+    lastKnownUrl = window.location.href;
+
+    return { partyCode: partyCode.trim().toUpperCase(), inviteToken };
+  }
+
+  // Join the party an invite link points at, asking for a name if we have none yet
+  async function joinFromInvite() {
+    const invite = takeInviteFromUrl();
+    if (!invite) return;
+
+    try {
+      const status = await chrome.runtime.sendMessage({ type: 'get-status' });
+      if (status && status.inParty && status.partyCode === invite.partyCode) return;
+
+      const stored = await chrome.storage.local.get(['username']);
+      let username = stored.username;
+      if (!username) {
+        username = (prompt(`Join watch party ${invite.partyCode} as:`) || '').trim();
+        if (!username) return;
+        await chrome.storage.local.set({ username });
+      }
+
+      pendingInviteCode = invite.partyCode;
+      // The background may still be connecting right after the browser starts
+      for (let attempt = 0; attempt < INVITE_JOIN_ATTEMPTS; attempt++) {
+        const response = await chrome.runtime.sendMessage({
+          type: 'join-party',
+          partyCode: invite.partyCode,
+          username,
+          inviteToken: invite.inviteToken
+        });
+        if (response && response.success) {
+          console.log(`Watch Party: Joining party ${invite.partyCode} from invite link`);
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, INVITE_RETRY_DELAY));
+      }
+      pendingInviteCode = null;
+      alert(`Could not join watch party ${invite.partyCode}: not connected to the server`);
+    } catch (error) {
+      // Extension context may not be ready yet
+      pendingInviteCode = null;
+    }
+  }
+
   // Initialize when page loads
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
       initVideo();
-      checkPartyStatus();
+      checkPartyStatus().then(joinFromInvite);
     });
   } else {
     initVideo();
-    checkPartyStatus();
+    checkPartyStatus().then(joinFromInvite);
   }
 
   // Re-detect video if page changes (for SPAs)
@@ -1269,11 +2690,18 @@
     bodyWaiter.observe(document.documentElement, { childList: true });
   }
 
+  // Broadcast the host's position periodically for drift correction
+  setInterval(sendBeacon, BEACON_INTERVAL);
+
+  // Watch for ad breaks starting and ending
+  setInterval(checkAdState, AD_CHECK_INTERVAL);
+
   // Detect URL changes for SPAs (e.g., YouTube navigation)
   setInterval(() => {
     if (window.location.href !== lastKnownUrl) {
       lastKnownUrl = window.location.href;
       console.log('Watch Party: URL changed, re-detecting video');
+      cancelRateNudge();
       detachVideoListeners();
       videoElement = null;
       // Disable theater mode on navigation - will re-enable when new video found
@@ -6,11 +6,26 @@ document.addEventListener('DOMContentLoaded', async () => {
   const statusDot = document.getElementById('statusDot');
   const statusText = document.getElementById('statusText');
   const errorMessage = document.getElementById('errorMessage');
+  const protocolWarning = document.getElementById('protocolWarning');
+  const PROTOCOL_WARNINGS = {
+    'server-too-old': 'The server is too old for this version of the extension. Some features may not work until it is updated.',
+    'server-too-new': 'The server is too new for this version of the extension. Please update the extension.'
+  };
 
   // Not in party elements
   const createUsernameInput = document.getElementById('createUsername');
   const createPasswordInput = document.getElementById('createPassword');
   const persistentCheckbox = document.getElementById('persistentCheckbox');
+  const vanityCodeRow = document.getElementById('vanityCodeRow');
+  const vanityCodeInput = document.getElementById('vanityCodeInput');
+  const reserveDaysInput = document.getElementById('reserveDaysInput');
+  // Party codes are 4-16 letters or digits: generated ones are 6 by default, vanity ones can be longer
+  const PARTY_CODE_PATTERN = /^[A-Z0-9]{4,16}$/;
+  const createPartyNameInput = document.getElementById('createPartyName');
+  const createDescriptionInput = document.getElementById('createDescription');
+  const createTagsInput = document.getElementById('createTags');
+  const visibilitySelect = document.getElementById('visibilitySelect');
+  const maxParticipantsInput = document.getElementById('maxParticipantsInput');
   const createPartyBtn = document.getElementById('createPartyBtn');
   const joinUsernameInput = document.getElementById('joinUsername');
   const partyCodeInput = document.getElementById('partyCodeInput');
@@ -21,6 +36,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   const availablePartiesSection = document.getElementById('availablePartiesSection');
   const availablePartiesList = document.getElementById('availablePartiesList');
   const refreshPartiesBtn = document.getElementById('refreshPartiesBtn');
+  const partySearchInput = document.getElementById('partySearchInput');
+  const partyFilterChips = document.getElementById('partyFilterChips');
+  // Filters for the available parties list, applied by the server
+  const partyFilters = { search: '', open: false, available: false, persistent: false, tags: [] };
+  const FILTER_CHIPS = { open: '🔓 No password', available: '🪑 Has room', persistent: '🏠 Persistent' };
+  const SEARCH_DELAY = 300;
+  let searchTimer = null;
 
   // In party elements
   const partyCodeDisplay = document.getElementById('partyCodeDisplay');
@@ -34,6 +56,45 @@ document.addEventListener('DOMContentLoaded', async () => {
   const leavePartyBtn = document.getElementById('leavePartyBtn');
   const sessionUrlSection = document.getElementById('sessionUrlSection');
   const sessionUrl = document.getElementById('sessionUrl');
+  const chatMessages = document.getElementById('chatMessages');
+  const chatForm = document.getElementById('chatForm');
+  const chatInput = document.getElementById('chatInput');
+  const queueCount = document.getElementById('queueCount');
+  const queueList = document.getElementById('queueList');
+  const queueForm = document.getElementById('queueForm');
+  const queueUrlInput = document.getElementById('queueUrlInput');
+  const queueCurrentBtn = document.getElementById('queueCurrentBtn');
+  const queueNextBtn = document.getElementById('queueNextBtn');
+  const pollsList = document.getElementById('pollsList');
+  const pollForm = document.getElementById('pollForm');
+  const pollQuestionInput = document.getElementById('pollQuestionInput');
+  const pollOptionsInput = document.getElementById('pollOptionsInput');
+  const voteButtons = document.querySelectorAll('[data-vote]');
+  const readyCheckStatus = document.getElementById('readyCheckStatus');
+  const readyCheckBtn = document.getElementById('readyCheckBtn');
+  const readyCheckCancelBtn = document.getElementById('readyCheckCancelBtn');
+  const autoWaitCheckbox = document.getElementById('autoWaitCheckbox');
+  const waitForAdsCheckbox = document.getElementById('waitForAdsCheckbox');
+  const exportLogBtn = document.getElementById('exportLogBtn');
+  const copyInviteBtn = document.getElementById('copyInviteBtn');
+  const inviteTokenCheckbox = document.getElementById('inviteTokenCheckbox');
+  const inviteLinkInput = document.getElementById('inviteLinkInput');
+  // Party setting behind each checkbox
+  const settingCheckboxes = { autoWait: autoWaitCheckbox, waitForAds: waitForAdsCheckbox };
+
+  // Our own client id in the current party (used to decide host controls)
+  let myClientId = null;
+  // URL of the party's current video, which invite links point at
+  let sessionVideoUrl = null;
+  // Whether we are the host (who can close anyone's poll)
+  let amHost = false;
+  // Open polls, plus recently closed ones while their result is shown
+  let partyPolls = [];
+  const POLL_RESULT_DISPLAY = 5000;
+  const POLL_RESULTS = { passed: 'Vote passed', failed: 'Vote failed', closed: 'Poll closed', expired: 'Poll expired' };
+  // The party's open ready check, if any
+  let readyCheck = null;
+  const READY_CHECK_RESULTS = { started: 'Everyone is ready, starting!', cancelled: 'Ready check cancelled', expired: 'Not everyone got ready in time' };
 
   // Load saved username from storage
   const savedData = await chrome.storage.local.get(['username', 'serverUrl']);
@@ -54,6 +115,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       // Update connection status
       updateConnectionStatus(response.connectionStatus);
+      updateProtocolStatus(response.protocolStatus, response.serverInfo);
 
       // Update view based on party status
       if (response.inParty && response.partyCode) {
@@ -88,6 +150,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Warn about a server speaking a different protocol version, and hide the
+  // controls for features it does not support
+  function updateProtocolStatus(status, serverInfo) {
+    const warning = PROTOCOL_WARNINGS[status];
+    protocolWarning.textContent = warning || '';
+    protocolWarning.style.display = warning ? 'block' : 'none';
+
+    // Servers from before the handshake announce no features, so nothing is hidden for them
+    const features = serverInfo && serverInfo.features;
+    document.querySelectorAll('[data-feature]').forEach(element => {
+      element.classList.toggle('feature-missing', !!features && !features.includes(element.dataset.feature));
+    });
+  }
+
   // Show not in party view
   function showNotInPartyView() {
     notInPartyView.style.display = 'block';
@@ -99,6 +175,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     notInPartyView.style.display = 'none';
     inPartyView.style.display = 'block';
 
+    myClientId = data.clientId || null;
+
     // Update party info
     partyCodeDisplay.textContent = data.partyCode || '------';
     usernameDisplay.textContent = data.username || '-';
@@ -118,6 +196,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     // Update session URL
+    sessionVideoUrl = (data.videoInfo && data.videoInfo.url) || null;
+    inviteLinkInput.style.display = 'none';
     if (data.videoInfo && data.videoInfo.url) {
       sessionUrlSection.style.display = 'block';
       sessionUrl.href = data.videoInfo.url;
@@ -128,6 +208,258 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Update participants list
     updateParticipantsList(data.participants || []);
+
+    renderQueue(data.queue || []);
+    partyPolls = data.polls || [];
+    renderPolls();
+    updateReadyCheck(data.readyCheck || null);
+    updatePartySettings(data.settings || {});
+
+    // Show the chat history; the popup being open means it has been read
+    renderChat(data.chatHistory || []);
+    if (data.unreadChat > 0) {
+      chrome.runtime.sendMessage({ type: 'mark-chat-read' }).catch(() => {});
+    }
+  }
+
+  // Build a chat message row
+  function createChatItem(entry) {
+    const li = document.createElement('li');
+    if (entry.clientId === myClientId) {
+      li.classList.add('own');
+    }
+    li.title = new Date(entry.timestamp).toLocaleTimeString();
+
+    const author = document.createElement('span');
+    author.className = 'chat-author';
+    author.textContent = entry.username;
+
+    const text = document.createElement('span');
+    text.textContent = entry.text;
+
+    li.appendChild(author);
+    li.appendChild(text);
+    return li;
+  }
+
+  // Replace the chat panel contents with the given history
+  function renderChat(history) {
+    chatMessages.innerHTML = '';
+    if (history.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'chat-empty';
+      empty.textContent = 'No messages yet';
+      chatMessages.appendChild(empty);
+      return;
+    }
+    history.forEach(entry => chatMessages.appendChild(createChatItem(entry)));
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  // Add an incoming chat message to the panel
+  function appendChatMessage(entry) {
+    const empty = chatMessages.querySelector('.chat-empty');
+    if (empty) empty.remove();
+    chatMessages.appendChild(createChatItem(entry));
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  // Send a queue edit (queue-add, queue-remove, queue-move, queue-next) to the server
+  async function sendQueueAction(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response || !response.success) {
+        showError((response && response.error) || 'Failed to update the queue');
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Error updating queue:', error);
+      showError('Failed to update the queue');
+      return false;
+    }
+  }
+
+  // Show the shared queue with controls to reorder and remove entries
+  function renderQueue(queue) {
+    queueCount.textContent = queue.length;
+    queueList.innerHTML = '';
+
+    if (queue.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'queue-empty';
+      empty.textContent = 'Nothing queued';
+      queueList.appendChild(empty);
+      return;
+    }
+
+    queue.forEach((entry, index) => {
+      const li = document.createElement('li');
+
+      const title = document.createElement('span');
+      title.className = 'queue-title';
+      title.textContent = entry.title || entry.url;
+      title.title = `${entry.url}\nAdded by ${entry.addedBy}`;
+      li.appendChild(title);
+
+      const actions = document.createElement('span');
+      actions.className = 'queue-actions';
+      const buttons = [
+        { label: '↑', title: 'Move up', disabled: index === 0, message: { type: 'queue-move', id: entry.id, index: index - 1 } },
+        { label: '↓', title: 'Move down', disabled: index === queue.length - 1, message: { type: 'queue-move', id: entry.id, index: index + 1 } },
+        { label: '✖', title: 'Remove from queue', disabled: false, message: { type: 'queue-remove', id: entry.id } }
+      ];
+      buttons.forEach(({ label, title: buttonTitle, disabled, message }) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn-icon btn-queue-action';
+        btn.textContent = label;
+        btn.title = buttonTitle;
+        btn.setAttribute('aria-label', buttonTitle);
+        btn.disabled = disabled;
+        btn.addEventListener('click', () => sendQueueAction(message));
+        actions.appendChild(btn);
+      });
+      li.appendChild(actions);
+
+      queueList.appendChild(li);
+    });
+  }
+
+  // Send a poll message (poll-create, poll-vote, poll-close) to the server
+  async function sendPollMessage(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response || !response.success) {
+        showError((response && response.error) || 'Failed to send vote');
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Error sending poll message:', error);
+      showError('Failed to send vote');
+      return false;
+    }
+  }
+
+  // Show a poll update; a closed poll shows its result for a few seconds
+  function updatePoll(poll) {
+    partyPolls = partyPolls.filter(entry => entry.id !== poll.id);
+    partyPolls.push(poll);
+    if (poll.status !== 'open') {
+      setTimeout(() => {
+        partyPolls = partyPolls.filter(entry => entry !== poll);
+        renderPolls();
+      }, POLL_RESULT_DISPLAY);
+    }
+    renderPolls();
+  }
+
+  // Show the party's polls with live tallies
+  function renderPolls() {
+    pollsList.innerHTML = '';
+
+    partyPolls.forEach((poll) => {
+      const li = document.createElement('li');
+
+      const question = document.createElement('div');
+      question.className = 'poll-question';
+      question.textContent = poll.question;
+      question.title = `Started by ${poll.createdBy}`;
+      if (poll.status === 'open' && (amHost || poll.createdById === myClientId)) {
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn-icon btn-queue-action';
+        closeBtn.textContent = '✖';
+        closeBtn.title = 'Close poll';
+        closeBtn.setAttribute('aria-label', 'Close poll');
+        closeBtn.addEventListener('click', () => sendPollMessage({ type: 'poll-close', pollId: poll.id }));
+        question.appendChild(closeBtn);
+      }
+      li.appendChild(question);
+
+      const options = document.createElement('div');
+      options.className = 'poll-options';
+      const myVote = poll.votes ? poll.votes[myClientId] : undefined;
+      poll.options.forEach((option, index) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary btn-small poll-option';
+        if (myVote === index) btn.classList.add('voted');
+        btn.textContent = `${option} (${poll.tallies[index]})`;
+        btn.disabled = poll.status !== 'open';
+        btn.addEventListener('click', () => sendPollMessage({ type: 'poll-vote', pollId: poll.id, option: index }));
+        options.appendChild(btn);
+      });
+      li.appendChild(options);
+
+      const status = document.createElement('div');
+      status.className = 'poll-status';
+      if (poll.status !== 'open') {
+        status.textContent = POLL_RESULTS[poll.status] || 'Poll ended';
+      } else if (poll.required) {
+        status.textContent = `${poll.tallies[0]} of ${poll.required} votes needed`;
+      }
+      if (status.textContent) li.appendChild(status);
+
+      pollsList.appendChild(li);
+    });
+  }
+
+  // Show the ready check's progress, or its result once it ends
+  function updateReadyCheck(check) {
+    readyCheck = check && check.status === 'open' ? check : null;
+    readyCheckBtn.style.display = readyCheck ? 'none' : 'inline-block';
+    readyCheckCancelBtn.style.display = readyCheck && (amHost || readyCheck.startedById === myClientId) ? 'inline-block' : 'none';
+
+    if (readyCheck) {
+      readyCheckStatus.textContent = `✋ ${readyCheck.readyCount} of ${readyCheck.total} ready`;
+    } else if (check) {
+      readyCheckStatus.textContent = READY_CHECK_RESULTS[check.status] || 'Everyone ready?';
+    } else {
+      readyCheckStatus.textContent = 'Everyone ready?';
+    }
+  }
+
+  // Show the party-wide policies; only the host can change them
+  function updatePartySettings(settings) {
+    Object.entries(settingCheckboxes).forEach(([key, checkbox]) => {
+      checkbox.checked = !!settings[key];
+    });
+  }
+
+  // Send a host moderation action (transfer-host, kick, ban) for a participant
+  async function sendHostAction(type, targetId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type, targetId });
+      if (!response || !response.success) {
+        showError((response && response.error) || 'Action failed');
+      }
+    } catch (error) {
+      console.error('Error sending host action:', error);
+      showError('Action failed');
+    }
+  }
+
+  // Build the host-only action buttons for a participant row
+  function createHostActions(participant) {
+    const actions = document.createElement('span');
+    actions.className = 'participant-actions';
+
+    const buttons = [
+      { type: 'transfer-host', label: '👑', title: 'Make host' },
+      { type: 'kick', label: '✖', title: 'Kick from party' },
+      { type: 'ban', label: '⛔', title: 'Ban from party' }
+    ];
+
+    buttons.forEach(({ type, label, title }) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn-icon btn-host-action';
+      btn.textContent = label;
+      btn.title = `${title}: ${participant.username}`;
+      btn.setAttribute('aria-label', btn.title);
+      btn.addEventListener('click', () => sendHostAction(type, participant.id));
+      actions.appendChild(btn);
+    });
+
+    return actions;
   }
 
   // Update participants list with sync status indicators
@@ -135,6 +467,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     participantCount.textContent = participants.length;
     participantsList.innerHTML = '';
 
+    amHost = participants.some(p => p && p.isHost && p.id === myClientId);
+    // Only the host can skip straight to the next queued video
+    queueNextBtn.style.display = amHost ? 'inline-block' : 'none';
+    // The host can close any poll and change the party settings
+    renderPolls();
+    Object.values(settingCheckboxes).forEach((checkbox) => {
+      checkbox.disabled = !amHost;
+      checkbox.title = amHost ? '' : 'Only the host can change this';
+    });
+
     participants.forEach(participant => {
       const li = document.createElement('li');
 
@@ -149,7 +491,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         const statusSpan = document.createElement('span');
         statusSpan.className = 'sync-indicator';
 
-        if (!participant.videoUrl) {
+        if (participant.away) {
+          statusSpan.classList.add('away');
+          statusSpan.title = 'Reconnecting…';
+        } else if (participant.buffering) {
+          statusSpan.classList.add('buffering');
+          statusSpan.title = 'Buffering…';
+        } else if (!participant.videoUrl) {
           statusSpan.classList.add('no-video');
           statusSpan.title = 'No video detected';
         } else if (participant.synced) {
@@ -161,6 +509,44 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         li.appendChild(nameSpan);
+
+        if (typeof participant.latency === 'number' && !participant.away) {
+          const latencySpan = document.createElement('span');
+          latencySpan.className = 'participant-latency';
+          latencySpan.textContent = `${participant.latency} ms`;
+          latencySpan.title = 'Round-trip latency to the server';
+          li.appendChild(latencySpan);
+        }
+
+        if (participant.inAd) {
+          const adBadge = document.createElement('span');
+          adBadge.className = 'ad-badge';
+          adBadge.textContent = 'AD';
+          adBadge.title = 'Watching an ad';
+          li.appendChild(adBadge);
+        }
+
+        // Shown while a ready check is running
+        if (typeof participant.ready === 'boolean') {
+          const readyBadge = document.createElement('span');
+          readyBadge.className = 'ready-badge';
+          readyBadge.textContent = participant.ready ? '✅' : '⏳';
+          readyBadge.title = participant.ready ? 'Ready' : 'Getting ready…';
+          li.appendChild(readyBadge);
+        }
+
+        if (participant.isHost) {
+          const hostBadge = document.createElement('span');
+          hostBadge.className = 'host-badge';
+          hostBadge.textContent = '👑';
+          hostBadge.title = 'Host';
+          li.appendChild(hostBadge);
+        }
+
+        if (amHost && participant.id && participant.id !== myClientId) {
+          li.appendChild(createHostActions(participant));
+        }
+
         li.appendChild(statusSpan);
       }
 
@@ -168,6 +554,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Turn a server error into text for the user
+  function formatError(error) {
+    if (error.code === 'invalid-invite') {
+      return 'That invite link is invalid, expired or has already been used.';
+    }
+    if (error.code === 'too-many-attempts') {
+      const minutes = Math.max(1, Math.ceil((error.retryAfter || 0) / 60));
+      return `Too many attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+    }
+    return error.message;
+  }
+
   // Show error message
   function showError(message) {
     errorMessage.textContent = message;
@@ -180,7 +578,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Request available parties from server
   async function loadAvailableParties() {
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'list-parties' });
+      const response = await chrome.runtime.sendMessage({ type: 'list-parties', filters: partyFilters });
       if (!response || !response.success) {
         updateAvailableParties([]);
       }
@@ -190,15 +588,49 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Show the filter chips: the fixed filters, then tags seen in the results (and any selected ones)
+  function renderPartyFilterChips(parties) {
+    partyFilterChips.innerHTML = '';
+
+    const addChip = (label, active, onClick) => {
+      const chip = document.createElement('button');
+      chip.className = 'filter-chip' + (active ? ' active' : '');
+      chip.textContent = label;
+      chip.addEventListener('click', () => {
+        onClick();
+        loadAvailableParties();
+      });
+      partyFilterChips.appendChild(chip);
+    };
+
+    Object.entries(FILTER_CHIPS).forEach(([filter, label]) => {
+      addChip(label, partyFilters[filter], () => {
+        partyFilters[filter] = !partyFilters[filter];
+      });
+    });
+
+    const tags = new Set(partyFilters.tags);
+    (parties || []).forEach(party => (party.tags || []).forEach(tag => tags.add(tag)));
+    tags.forEach(tag => {
+      addChip(`#${tag}`, partyFilters.tags.includes(tag), () => {
+        partyFilters.tags = partyFilters.tags.includes(tag)
+          ? partyFilters.tags.filter(selected => selected !== tag)
+          : partyFilters.tags.concat(tag);
+      });
+    });
+  }
+
   // Update available parties list UI
   function updateAvailableParties(parties) {
     availablePartiesList.innerHTML = '';
+    renderPartyFilterChips(parties);
 
     if (!parties || parties.length === 0) {
       availablePartiesSection.style.display = 'block';
+      const filtered = partyFilters.search || partyFilters.open || partyFilters.available || partyFilters.persistent || partyFilters.tags.length > 0;
       const msg = document.createElement('li');
       msg.className = 'no-parties-message';
-      msg.textContent = 'No parties available';
+      msg.textContent = filtered ? 'No parties match your search' : 'No public parties right now';
       availablePartiesList.appendChild(msg);
       return;
     }
@@ -206,29 +638,41 @@ document.addEventListener('DOMContentLoaded', async () => {
     availablePartiesSection.style.display = 'block';
 
     parties.forEach(party => {
+      const full = !!party.maxParticipants && party.participantCount >= party.maxParticipants;
       const li = document.createElement('li');
-      li.title = party.hasPassword ? 'Password required' : 'Click to join';
+      li.title = full ? 'Party is full' : party.hasPassword ? 'Password required' : 'Click to join';
+      if (full) li.classList.add('full');
 
       const info = document.createElement('div');
       info.className = 'party-item-info';
 
       const code = document.createElement('span');
       code.className = 'party-item-code';
-      code.textContent = party.partyCode;
+      code.textContent = party.name ? `${party.name} · ${party.partyCode}` : party.partyCode;
 
       const details = document.createElement('span');
       details.className = 'party-item-details';
       details.textContent = party.videoTitle || 'No video';
+      if (party.description) details.title = party.description;
 
       info.appendChild(code);
       info.appendChild(details);
 
+      if (party.tags && party.tags.length > 0) {
+        const tags = document.createElement('span');
+        tags.className = 'party-item-tags';
+        tags.textContent = party.tags.map(tag => `#${tag}`).join(' ');
+        info.appendChild(tags);
+      }
+
       const right = document.createElement('div');
       right.className = 'party-item-right';
 
       const count = document.createElement('span');
       count.className = 'party-item-count';
-      count.textContent = `👤 ${party.participantCount}`;
+      count.textContent = party.maxParticipants
+        ? `👤 ${party.participantCount}/${party.maxParticipants}`
+        : `👤 ${party.participantCount}`;
 
       right.appendChild(count);
 
@@ -243,6 +687,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       li.appendChild(right);
 
       li.addEventListener('click', () => {
+        if (full) return;
         partyCodeInput.value = party.partyCode;
         if (party.hasPassword) {
           joinPasswordInput.focus();
@@ -260,17 +705,35 @@ document.addEventListener('DOMContentLoaded', async () => {
     loadAvailableParties();
   });
 
+  // Search as the user types, once they pause
+  partySearchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      partyFilters.search = partySearchInput.value.trim();
+      loadAvailableParties();
+    }, SEARCH_DELAY);
+  });
+
   // Create party
   createPartyBtn.addEventListener('click', async () => {
     const username = createUsernameInput.value.trim();
     const password = createPasswordInput.value.trim();
     const persistent = persistentCheckbox.checked;
+    const tags = createTagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+    const maxParticipants = parseInt(maxParticipantsInput.value, 10);
+    const vanityCode = persistent ? vanityCodeInput.value.trim().toUpperCase() : '';
+    const reserveDays = parseInt(reserveDaysInput.value, 10);
     
     if (!username) {
       showError('Please enter your name');
       return;
     }
 
+    if (vanityCode && !PARTY_CODE_PATTERN.test(vanityCode)) {
+      showError('Custom codes must be 4-16 letters or digits');
+      return;
+    }
+
     createPartyBtn.disabled = true;
     createPartyBtn.textContent = 'Creating...';
 
@@ -282,13 +745,27 @@ document.addEventListener('DOMContentLoaded', async () => {
         type: 'create-party',
         username: username,
         password: password || null,
-        persistent: persistent
+        persistent: persistent,
+        visibility: visibilitySelect.value,
+        name: createPartyNameInput.value.trim() || null,
+        description: createDescriptionInput.value.trim() || null,
+        tags: tags.length > 0 ? tags.slice(0, 5) : null,
+        maxParticipants: maxParticipants >= 2 ? maxParticipants : null,
+        code: vanityCode || null,
+        reserveDays: vanityCode && reserveDays >= 1 ? reserveDays : null
       });
 
       if (response.success) {
         // Clear password field and checkbox
         createPasswordInput.value = '';
         persistentCheckbox.checked = false;
+        vanityCodeRow.style.display = 'none';
+        vanityCodeInput.value = '';
+        reserveDaysInput.value = '';
+        createPartyNameInput.value = '';
+        createDescriptionInput.value = '';
+        createTagsInput.value = '';
+        maxParticipantsInput.value = '';
         // UI will be updated by message listener
       } else {
         showError(response.error || 'Failed to create party');
@@ -313,8 +790,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    if (!partyCode || partyCode.length !== 6) {
-      showError('Please enter a valid 6-character party code');
+    if (!PARTY_CODE_PATTERN.test(partyCode)) {
+      showError('Please enter a valid party code (4-16 letters or digits)');
       return;
     }
 
@@ -387,6 +864,83 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Build a link to the party's video carrying the join marker (and a one-time
+  // token if given) in the fragment, which the page's own server never sees
+  function buildInviteLink(videoUrl, partyCode, token) {
+    const url = new URL(videoUrl);
+    let marker = `wparty=${encodeURIComponent(partyCode)}`;
+    if (token) marker += `&wparty-invite=${encodeURIComponent(token)}`;
+    const hash = url.hash.replace(/^#/, '');
+    url.hash = hash ? `${hash}&${marker}` : marker;
+    return url.toString();
+  }
+
+  // Show an invite link and copy it to the clipboard
+  async function copyInviteLink(partyCode, token) {
+    if (!sessionVideoUrl) return;
+    const link = buildInviteLink(sessionVideoUrl, partyCode, token);
+    inviteLinkInput.value = link;
+    inviteLinkInput.style.display = 'block';
+
+    try {
+      await navigator.clipboard.writeText(link);
+      copyInviteBtn.textContent = '✓ Link copied';
+      setTimeout(() => {
+        copyInviteBtn.textContent = '🔗 Copy invite link';
+      }, 2000);
+    } catch (error) {
+      // The link stays visible so it can be copied by hand
+      inviteLinkInput.select();
+    }
+  }
+
+  // Copy invite link; one-time passes are issued by the server and arrive as an 'invite' message
+  copyInviteBtn.addEventListener('click', async () => {
+    if (!sessionVideoUrl) {
+      showError('Start a video first so the invite link has something to open');
+      return;
+    }
+
+    if (!inviteTokenCheckbox.checked) {
+      copyInviteLink(partyCodeDisplay.textContent, null);
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'create-invite' });
+      if (!response || !response.success) {
+        showError((response && response.error) || 'Failed to create invite');
+      }
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      showError('Failed to create invite');
+    }
+  });
+
+  // Save an exported event log as a JSON file
+  function saveEventLog(log) {
+    const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wparty-${log.partyCode}-${new Date(log.timestamp).toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Ask the server for the party's event log; it arrives as an 'event-log' message
+  exportLogBtn.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'get-event-log' });
+      if (!response || !response.success) {
+        showError((response && response.error) || 'Failed to export the event log');
+      }
+    } catch (error) {
+      console.error('Error exporting event log:', error);
+      showError('Failed to export the event log');
+    }
+  });
+
   // Save server URL
   saveServerBtn.addEventListener('click', async () => {
     const serverUrl = serverUrlInput.value.trim();
@@ -429,6 +983,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateConnectionStatus(message.status);
         break;
 
+      case 'protocol-status':
+        updateProtocolStatus(message.protocolStatus, message.serverInfo);
+        break;
+
       case 'party-created':
       case 'joined':
         updateUI();
@@ -447,6 +1005,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           videoInfoSection.style.display = 'block';
           videoTitle.textContent = message.data.data.title;
           if (message.data.data.url) {
+            sessionVideoUrl = message.data.data.url;
             videoLink.href = message.data.data.url;
             videoLink.style.display = 'inline-block';
             sessionUrlSection.style.display = 'block';
@@ -458,23 +1017,176 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
         break;
 
+      case 'chat':
+        appendChatMessage(message.data);
+        if (message.unread > 0) {
+          chrome.runtime.sendMessage({ type: 'mark-chat-read' }).catch(() => {});
+        }
+        break;
+
+      case 'queue':
+        renderQueue(message.queue || []);
+        break;
+
+      case 'poll':
+        updatePoll(message.poll);
+        break;
+
+      case 'ready-check':
+        updateReadyCheck(message.readyCheck);
+        break;
+
+      case 'party-settings':
+        updatePartySettings(message.settings || {});
+        break;
+
       case 'error':
-        showError(message.message);
+        showError(formatError(message));
         break;
 
       case 'party-list':
         updateAvailableParties(message.parties);
         break;
+
+      case 'invite':
+        copyInviteLink(message.partyCode, message.token);
+        break;
+
+      case 'event-log':
+        saveEventLog(message.log);
+        break;
     }
 
     sendResponse({ success: true });
     return true;
   });
 
-  // Auto-uppercase party code input
+  // Send chat message
+  chatForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'send-chat', text });
+      if (response && response.success) {
+        chatInput.value = '';
+      } else {
+        showError((response && response.error) || 'Failed to send message');
+      }
+    } catch (error) {
+      console.error('Error sending chat message:', error);
+      showError('Failed to send message');
+    }
+  });
+
+  // Queue a pasted video URL
+  queueForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const url = queueUrlInput.value.trim();
+    if (!url) return;
+    if (!/^https?:\/\//i.test(url)) {
+      showError('Please enter a valid http(s) URL');
+      return;
+    }
+
+    if (await sendQueueAction({ type: 'queue-add', url })) {
+      queueUrlInput.value = '';
+    }
+  });
+
+  // Queue the page open in the current tab
+  queueCurrentBtn.addEventListener('click', async () => {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab || !tab.url || !/^https?:\/\//i.test(tab.url)) {
+        showError('The current page cannot be queued');
+        return;
+      }
+      await sendQueueAction({ type: 'queue-add', url: tab.url, title: tab.title });
+    } catch (error) {
+      console.error('Error reading current tab:', error);
+      showError('The current page cannot be queued');
+    }
+  });
+
+  queueNextBtn.addEventListener('click', () => {
+    sendQueueAction({ type: 'queue-next' });
+  });
+
+  // Start a ready check at the party's current position
+  readyCheckBtn.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'ready-check' });
+      if (!response || !response.success) {
+        showError((response && response.error) || 'Failed to start the ready check');
+      }
+    } catch (error) {
+      console.error('Error starting ready check:', error);
+      showError('Failed to start the ready check');
+    }
+  });
+
+  readyCheckCancelBtn.addEventListener('click', () => {
+    if (!readyCheck) return;
+    chrome.runtime.sendMessage({ type: 'ready-check-cancel', checkId: readyCheck.id }).catch(() => {});
+  });
+
+  // Change a party setting (host only)
+  Object.entries(settingCheckboxes).forEach(([key, checkbox]) => {
+    checkbox.addEventListener('change', async () => {
+      const value = checkbox.checked;
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'party-settings', settings: { [key]: value } });
+        if (!response || !response.success) {
+          checkbox.checked = !value;
+          showError((response && response.error) || 'Failed to change the setting');
+        }
+      } catch (error) {
+        console.error('Error changing party settings:', error);
+        checkbox.checked = !value;
+        showError('Failed to change the setting');
+      }
+    });
+  });
+
+  // Start an action vote
+  voteButtons.forEach((btn) => {
+    btn.addEventListener('click', () => {
+      sendPollMessage({ type: 'poll-create', kind: btn.dataset.vote });
+    });
+  });
+
+  // Start a free-form poll
+  pollForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const question = pollQuestionInput.value.trim();
+    if (!question) return;
+
+    const options = pollOptionsInput.value.split(',').map(option => option.trim()).filter(Boolean);
+    if (options.length === 1) {
+      showError('A poll needs at least two answers');
+      return;
+    }
+
+    if (await sendPollMessage({ type: 'poll-create', kind: 'question', question, options: options.length > 0 ? options : undefined })) {
+      pollQuestionInput.value = '';
+      pollOptionsInput.value = '';
+    }
+  });
+
+  // Auto-uppercase party code inputs
   partyCodeInput.addEventListener('input', (e) => {
     e.target.value = e.target.value.toUpperCase();
   });
+  vanityCodeInput.addEventListener('input', (e) => {
+    e.target.value = e.target.value.toUpperCase();
+  });
+
+  // Custom codes can only be reserved by persistent parties
+  persistentCheckbox.addEventListener('change', () => {
+    vanityCodeRow.style.display = persistentCheckbox.checked ? 'flex' : 'none';
+  });
 
   // Initialize UI
   updateUI();
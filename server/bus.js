@@ -0,0 +1,290 @@
+// Message bus used to share party state and relay messages between server instances
+// A bus must provide:
+//   connect()          -> Promise that resolves once messages can flow
+//   publish(message)   -> send a JSON-serializable message to every other instance
+//   subscribe(handler) -> handler(message) is called for messages from other instances
+//   close()            -> stop sending and receiving
+// Every published message carries the sender's `source` instance id, and a bus never
+// hands an instance its own messages back.
+
+const net = require('net');
+const { EventEmitter } = require('events');
+const { log } = require('./logger');
+
+const REDIS_RECONNECT_DELAY = 1000; // Initial reconnect delay, doubled on each failure
+const REDIS_MAX_RECONNECT_DELAY = 30000;
+
+// Shared hub for in-memory buses; every bus created in this process talks through it
+const defaultHub = new EventEmitter();
+defaultHub.setMaxListeners(0);
+
+// In-process bus. With a single server per process there is nobody else to talk to,
+// but several instances created in one process (e.g. in tests) see each other.
+class MemoryBus {
+  constructor(instanceId, hub = defaultHub) {
+    this.instanceId = instanceId;
+    this.hub = hub;
+    this.listener = null;
+  }
+
+  async connect() {}
+
+  publish(message) {
+    this.hub.emit('message', { ...message, source: this.instanceId });
+  }
+
+  subscribe(handler) {
+    this.listener = (message) => {
+      if (message.source !== this.instanceId) handler(message);
+    };
+    this.hub.on('message', this.listener);
+  }
+
+  close() {
+    if (this.listener) {
+      this.hub.removeListener('message', this.listener);
+      this.listener = null;
+    }
+  }
+}
+
+// Encode a command as a RESP array of bulk strings
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+// Read a RESP length or count, which must be a whole number (-1 means null)
+function parseLength(line) {
+  const length = Number(line);
+  if (line === '' || !Number.isInteger(length) || length < -1) {
+    throw new Error(`Invalid RESP length: ${line}`);
+  }
+  return length;
+}
+
+// Incremental RESP (Redis serialization protocol) parser. Returns the parsed value
+// and the offset after it, or null if the buffer does not hold a full reply yet.
+// Throws on malformed input, after which nothing else in the buffer can be trusted.
+function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const prefix = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (prefix) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = parseLength(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseLength(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Invalid RESP reply prefix: ${prefix}`);
+  }
+}
+
+// Minimal Redis connection: sends commands and emits every reply in order
+class RedisConnection extends EventEmitter {
+  constructor(url) {
+    super();
+    const parsed = new URL(url);
+    this.host = parsed.hostname || 'localhost';
+    this.port = Number(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.socket = net.createConnection({ host: this.host, port: this.port }, () => {
+        this.socket.removeListener('error', reject);
+        this.socket.on('error', (error) => this.emit('error', error));
+        if (this.password) this.send(['AUTH', this.password]);
+        resolve();
+      });
+      this.socket.once('error', reject);
+      this.socket.on('data', (data) => this.onData(data));
+      this.socket.on('close', () => this.emit('close'));
+    });
+  }
+
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    for (;;) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer);
+      } catch (error) {
+        // We have lost track of where replies start, so drop the connection and let the
+        // bus reconnect rather than misreading everything after this
+        this.buffer = Buffer.alloc(0);
+        this.emit('error', error);
+        if (this.socket) this.socket.destroy();
+        return;
+      }
+      if (!reply) return;
+      this.buffer = this.buffer.subarray(reply.offset);
+      this.emit('reply', reply.value);
+    }
+  }
+
+  send(args) {
+    if (this.socket && !this.socket.destroyed) {
+      this.socket.write(encodeCommand(args));
+    }
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      // end() rather than destroy() so queued commands (e.g. a final PUBLISH) still go out
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+}
+
+// Bus over Redis pub/sub. Uses one connection to publish and one to subscribe,
+// since a subscribed Redis connection cannot issue other commands.
+class RedisBus {
+  constructor(instanceId, options = {}) {
+    this.instanceId = instanceId;
+    this.url = options.url || 'redis://localhost:6379';
+    this.channel = options.channel || 'wparty';
+    this.handler = null;
+    this.publisher = null;
+    this.subscriber = null;
+    this.closed = false;
+    this.reconnectDelay = REDIS_RECONNECT_DELAY;
+    this.reconnectTimeout = null;
+  }
+
+  // Resolves even if Redis is unreachable; the bus keeps retrying in the background
+  async connect() {
+    try {
+      await this.open();
+    } catch (error) {
+      log.error('Message bus could not connect:', error.message);
+      this.scheduleReconnect();
+    }
+  }
+
+  async open() {
+    this.publisher = new RedisConnection(this.url);
+    this.subscriber = new RedisConnection(this.url);
+
+    for (const connection of [this.publisher, this.subscriber]) {
+      connection.on('error', (error) => {
+        log.error('Redis bus error:', error.message);
+      });
+      connection.on('close', () => this.scheduleReconnect());
+    }
+
+    this.publisher.on('reply', (reply) => {
+      if (reply instanceof Error) log.error('Redis bus error:', reply.message);
+    });
+    this.subscriber.on('reply', (reply) => this.onReply(reply));
+
+    await this.publisher.connect();
+    await this.subscriber.connect();
+    this.subscriber.send(['SUBSCRIBE', this.channel]);
+    this.reconnectDelay = REDIS_RECONNECT_DELAY;
+    log.info(`Message bus connected to ${this.url} (channel ${this.channel})`);
+  }
+
+  // Drop both connections and retry with exponential backoff
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimeout) return;
+
+    if (this.publisher) this.publisher.close();
+    if (this.subscriber) this.subscriber.close();
+
+    log.info(`Message bus disconnected, reconnecting in ${this.reconnectDelay}ms`);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.open().catch((error) => {
+        log.error('Message bus reconnect failed:', error.message);
+        this.scheduleReconnect();
+      });
+    }, this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, REDIS_MAX_RECONNECT_DELAY);
+  }
+
+  onReply(reply) {
+    if (reply instanceof Error) {
+      log.error('Redis bus error:', reply.message);
+      return;
+    }
+
+    // Pushed messages look like ['message', channel, payload]
+    if (!Array.isArray(reply) || reply[0] !== 'message' || !this.handler) return;
+
+    try {
+      const message = JSON.parse(reply[2]);
+      if (message.source !== this.instanceId) this.handler(message);
+    } catch (error) {
+      log.error('Invalid message on bus:', error.message);
+    }
+  }
+
+  publish(message) {
+    if (!this.publisher) return;
+    this.publisher.send(['PUBLISH', this.channel, JSON.stringify({ ...message, source: this.instanceId })]);
+  }
+
+  subscribe(handler) {
+    this.handler = handler;
+  }
+
+  close() {
+    this.closed = true;
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    if (this.publisher) this.publisher.close();
+    if (this.subscriber) this.subscriber.close();
+  }
+}
+
+// Create the bus selected by configuration ('memory' or 'redis')
+function createBus(type, instanceId, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryBus(instanceId, options.hub);
+    case 'redis':
+      return new RedisBus(instanceId, options);
+    default:
+      throw new Error(`Unknown message bus: ${type}`);
+  }
+}
+
+module.exports = { createBus, MemoryBus, RedisBus, encodeCommand, parseReply };
@@ -0,0 +1,326 @@
+// Headless command-line party client speaking the same protocol as the extension's
+// background script. Use it to drive parties without a browser: reproduce bug reports,
+// load-test a server with many scripted clients, or keep a bot participant in a party.
+//
+// Usage: node client.js (--create | --join CODE) [--server ws://localhost:8080]
+//                       [--name NAME] [--password PASSWORD] [--invite TOKEN]
+//                       [--script FILE] [--loop] [--exit] [--clients N] [--json] [--quiet]
+//
+// A script is a JSON list of protocol messages, each with `at`, the seconds after
+// joining when it is sent, e.g.
+//   [{ "at": 0, "type": "video-info", "data": { "url": "https://www.youtube.com/watch?v=..." } },
+//    { "at": 2, "type": "sync", "action": "play", "data": { "currentTime": 0 } },
+//    { "at": 5, "type": "chat", "text": "hello" }]
+// Sync events are stamped with the server-clock `sentAt`, like the extension does.
+//
+// Without a script (and with a terminal attached), typed lines are sent as chat, and
+// /play SECONDS, /pause, /seek SECONDS, /video URL [TITLE], /raw JSON, /leave and /quit
+// control the party.
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const readline = require('readline');
+const WebSocket = require('ws');
+const { version: CLIENT_VERSION } = require('./package.json');
+
+const PROTOCOL_VERSION = 1;
+// Optional features this client supports, announced in `hello`
+const CAPABILITIES = ['resume', 'chat', 'queue', 'event-log'];
+const HEARTBEAT_INTERVAL = 25000; // Matches the extension
+const CLOCK_SAMPLE_COUNT = 8;
+const SETTLE_TIME = 1000; // ms to let the last messages land before exiting
+
+// One connection to a server, which can create, join or resume a party.
+// Emits 'message' for every message received.
+class PartyClient extends EventEmitter {
+  constructor(url, username) {
+    super();
+    this.url = url;
+    this.username = username;
+    this.ws = null;
+    this.waiters = [];
+    this.heartbeat = null;
+    this.clockOffset = 0; // Estimated server clock minus local clock, in ms
+    this.roundTripTime = null;
+    this.clockSamples = [];
+    this.partyCode = null;
+    this.clientId = null;
+    this.resumeToken = null;
+    this.serverInfo = null;
+  }
+
+  // Open the connection and exchange `hello`; servers from before the handshake answer
+  // with an `unknown-type` error, which is fine
+  async connect() {
+    await new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url);
+      this.ws = ws;
+      ws.on('message', (data) => this.handleMessage(JSON.parse(data)));
+      ws.on('open', resolve);
+      ws.on('error', reject);
+      ws.on('close', () => {
+        // A resume may already have replaced this connection
+        if (this.ws !== ws) return;
+        clearInterval(this.heartbeat);
+        this.emit('close');
+      });
+    });
+
+    this.ping();
+    this.heartbeat = setInterval(() => this.ping(), HEARTBEAT_INTERVAL);
+
+    try {
+      this.serverInfo = await this.request({
+        type: 'hello',
+        version: PROTOCOL_VERSION,
+        capabilities: CAPABILITIES,
+        client: `wparty-cli/${CLIENT_VERSION}`
+      }, ['hello']);
+    } catch (error) {
+      if (error.code !== 'unknown-type') throw error;
+    }
+    return this;
+  }
+
+  handleMessage(message) {
+    if (message.type === 'pong') this.handlePong(message);
+    if (message.resumeToken) this.resumeToken = message.resumeToken;
+    this.waiters = this.waiters.filter(waiter => !waiter(message));
+    this.emit('message', message);
+  }
+
+  // Keep the best of the recent clock samples, as the extension does (NTP-style)
+  handlePong(message) {
+    if (typeof message.clientTime !== 'number' || typeof message.serverReceivedAt !== 'number') return;
+    const receivedAt = Date.now();
+    const roundTripTime = (receivedAt - message.clientTime) - (message.timestamp - message.serverReceivedAt);
+    const offset = ((message.serverReceivedAt - message.clientTime) + (message.timestamp - receivedAt)) / 2;
+
+    this.clockSamples.push({ roundTripTime, offset });
+    if (this.clockSamples.length > CLOCK_SAMPLE_COUNT) this.clockSamples.shift();
+    const best = this.clockSamples.reduce((a, b) => (b.roundTripTime < a.roundTripTime ? b : a));
+    this.clockOffset = best.offset;
+    this.roundTripTime = best.roundTripTime;
+  }
+
+  ping() {
+    this.send({ type: 'ping', timestamp: Date.now(), rtt: this.roundTripTime });
+  }
+
+  getServerTime() {
+    return Date.now() + this.clockOffset;
+  }
+
+  send(message) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return false;
+    // Stamp sync events with the server-clock send time so receivers can compensate for transit
+    if (message.type === 'sync') {
+      message = Object.assign({}, message, { data: Object.assign({}, message.data, { sentAt: this.getServerTime() }) });
+    }
+    this.ws.send(JSON.stringify(message));
+    return true;
+  }
+
+  // Send a message and wait for a reply of one of the given types; an error reply
+  // rejects with its `code`
+  request(message, replyTypes) {
+    return new Promise((resolve, reject) => {
+      this.waiters.push((reply) => {
+        if (replyTypes.includes(reply.type)) {
+          resolve(reply);
+          return true;
+        }
+        if (reply.type === 'error') {
+          const error = new Error(`${message.type} failed: ${reply.message}`);
+          error.code = reply.code;
+          reject(error);
+          return true;
+        }
+        return false;
+      });
+      if (!this.send(message)) reject(new Error('Not connected'));
+    });
+  }
+
+  async create(options = {}) {
+    const reply = await this.request(Object.assign({ type: 'create-party', username: this.username }, options), ['party-created']);
+    this.partyCode = reply.partyCode;
+    this.clientId = reply.clientId;
+    return reply;
+  }
+
+  async join(partyCode, { password, inviteToken } = {}) {
+    const reply = await this.request({ type: 'join', partyCode, username: this.username, password, inviteToken }, ['joined']);
+    this.partyCode = reply.partyCode;
+    this.clientId = reply.clientId;
+    return reply;
+  }
+
+  // Reconnect and take back our place after the connection dropped
+  async resume() {
+    await this.connect();
+    const reply = await this.request({ type: 'resume', partyCode: this.partyCode, resumeToken: this.resumeToken }, ['resumed']);
+    this.clientId = reply.clientId;
+    return reply;
+  }
+
+  leave() {
+    this.send({ type: 'leave' });
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    if (this.ws) this.ws.close();
+  }
+
+  // Drop the connection without leaving, so the server keeps our place for a resume
+  terminate() {
+    clearInterval(this.heartbeat);
+    if (this.ws) this.ws.terminate();
+  }
+}
+
+// One line summarizing a message for the terminal
+function describeMessage(message) {
+  switch (message.type) {
+    case 'sync':
+      return `sync ${message.action} at ${message.data && message.data.currentTime} by ${message.username}`;
+    case 'chat':
+      return `chat <${message.username}> ${message.text}`;
+    case 'participants':
+      return `participants ${(message.participants || []).map(p => p.username + (p.isHost ? ' (host)' : '')).join(', ')}`;
+    case 'video-changed':
+    case 'video-info':
+      return `${message.type} ${message.data && message.data.url} by ${message.username}`;
+    case 'error':
+      return `error ${message.code}: ${message.message}`;
+    default:
+      return JSON.stringify(message);
+  }
+}
+
+// Read `--name value` options; flags take no value
+function parseArgs(argv) {
+  const options = {
+    server: 'ws://localhost:8080', create: false, join: null, name: 'cli', password: null,
+    invite: null, script: null, loop: false, exit: false, clients: 1, json: false, quiet: false
+  };
+  const flags = ['create', 'loop', 'exit', 'json', 'quiet'];
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in options)) throw new Error(`Unknown option: ${argv[i]}`);
+    if (flags.includes(name)) {
+      options[name] = true;
+      continue;
+    }
+    if (argv[i + 1] === undefined) throw new Error(`Missing value for ${argv[i]}`);
+    options[name] = name === 'clients' ? parseInt(argv[++i], 10) : argv[++i];
+  }
+  if (options.create === !!options.join) throw new Error('Pass either --create or --join CODE');
+  if (!(options.clients >= 1)) throw new Error('--clients must be at least 1');
+  return options;
+}
+
+// Send each script step at its time after `startedAt`, repeating if asked
+async function runScript(client, steps, loop) {
+  do {
+    const startedAt = Date.now();
+    for (const step of steps) {
+      const { at, ...message } = step;
+      const due = startedAt + (at || 0) * 1000;
+      if (due > Date.now()) await new Promise(resolve => setTimeout(resolve, due - Date.now()));
+      client.send(message);
+    }
+  } while (loop);
+}
+
+// Turn a typed line into a message: chat by default, or one of the slash commands
+function parseCommand(line) {
+  const [command, ...args] = line.trim().split(/\s+/);
+  switch (command) {
+    case '/play':
+      return { type: 'sync', action: 'play', data: { currentTime: parseFloat(args[0]) || 0 } };
+    case '/pause':
+      return { type: 'sync', action: 'pause', data: {} };
+    case '/seek':
+      return { type: 'sync', action: 'seek', data: { currentTime: parseFloat(args[0]) || 0 } };
+    case '/video':
+      return { type: 'video-info', data: { url: args[0], title: args.slice(1).join(' ') || undefined } };
+    case '/raw':
+      return JSON.parse(line.trim().slice('/raw'.length));
+    case '/leave':
+      return { type: 'leave' };
+    default:
+      return line.trim() ? { type: 'chat', text: line.trim() } : null;
+  }
+}
+
+async function main(options) {
+  const steps = options.script ? JSON.parse(fs.readFileSync(options.script, 'utf8')) : null;
+  const clients = [];
+
+  for (let i = 0; i < options.clients; i++) {
+    const name = options.clients > 1 ? `${options.name}-${i + 1}` : options.name;
+    const client = await new PartyClient(options.server, name).connect();
+    client.on('message', (message) => {
+      if (message.type === 'pong') return;
+      if (options.quiet && message.type !== 'error') return;
+      console.log(options.json ? JSON.stringify(message) : `[${name}] ${describeMessage(message)}`);
+    });
+
+    // The first client creates the party if asked; the rest join it
+    if (options.create && i === 0) {
+      await client.create({ password: options.password || undefined });
+      console.log(`Created party ${client.partyCode}`);
+    } else {
+      await client.join(clients.length > 0 ? clients[0].partyCode : options.join.toUpperCase(), {
+        password: options.password || undefined,
+        inviteToken: options.invite || undefined
+      });
+    }
+    clients.push(client);
+  }
+
+  if (steps) {
+    await Promise.all(clients.map(client => runScript(client, steps, options.loop)));
+    if (options.exit) {
+      await new Promise(resolve => setTimeout(resolve, SETTLE_TIME));
+      clients.forEach(client => client.close());
+    }
+    return;
+  }
+
+  if (!process.stdin.isTTY) return;
+  const input = readline.createInterface({ input: process.stdin });
+  input.on('line', (line) => {
+    if (line.trim() === '/quit') {
+      input.close();
+      clients.forEach(client => client.close());
+      return;
+    }
+    try {
+      const message = parseCommand(line);
+      if (message) clients.forEach(client => client.send(message));
+    } catch (error) {
+      console.error(`Could not send: ${error.message}`);
+    }
+  });
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node client.js (--create | --join CODE) [--server URL] [--name NAME] [--password PASSWORD] [--invite TOKEN] [--script FILE] [--loop] [--exit] [--clients N] [--json] [--quiet]');
+    process.exit(1);
+  }
+
+  main(options).catch((error) => {
+    console.error('Client failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { PartyClient };
@@ -0,0 +1,179 @@
+// Server configuration: built-in defaults, overridden by a JSON config file, overridden by
+// environment variables. loadConfig() checks every value and throws one error listing all
+// the problems, so a misconfigured server refuses to start instead of misbehaving later.
+//
+// The config file is CONFIG_FILE if set, otherwise config.json next to this file if it
+// exists. It holds an object with any of the keys below, e.g. { "maxParties": 500 }.
+
+const fs = require('fs');
+const path = require('path');
+const { MAX_MESSAGE_SIZE } = require('./validation');
+const { LOG_LEVELS } = require('./logger');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+const MIN_PARTY_CODE_CHARS = 10; // Smaller alphabets make codes too easy to guess
+
+// Every option with its environment variable, type and default. Durations are in
+// milliseconds; a limit of 0 means no limit.
+const OPTIONS = {
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 8080 },
+  trustProxyHops: { env: 'TRUST_PROXY_HOPS', type: 'integer', min: 0, max: 10, default: 0 },
+  wsPath: { env: 'WS_PATH', type: 'string', pattern: /^\//, patternHint: 'start with "/"', default: null },
+  tlsCert: { env: 'TLS_CERT', type: 'string', default: null },
+  tlsKey: { env: 'TLS_KEY', type: 'string', default: null },
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info' },
+  heartbeatInterval: { env: 'HEARTBEAT_INTERVAL', type: 'integer', min: 1000, default: 30000 },
+  partyIdleTimeout: { env: 'PARTY_IDLE_TIMEOUT', type: 'integer', min: 60000, default: 24 * 60 * 60 * 1000 },
+  cleanupInterval: { env: 'CLEANUP_INTERVAL', type: 'integer', min: 1000, default: 60 * 60 * 1000 },
+  maxParties: { env: 'MAX_PARTIES', type: 'integer', min: 0, default: 0 },
+  maxParticipants: { env: 'MAX_PARTICIPANTS', type: 'integer', min: 0, default: 0 },
+  maxMessageSize: { env: 'MAX_MESSAGE_SIZE', type: 'integer', min: 1024, max: 1024 * 1024, default: MAX_MESSAGE_SIZE },
+  allowPersistentParties: { env: 'ALLOW_PERSISTENT_PARTIES', type: 'boolean', default: true },
+  allowPasswordlessParties: { env: 'ALLOW_PASSWORDLESS_PARTIES', type: 'boolean', default: true },
+  partyCodeChars: { env: 'PARTY_CODE_CHARS', type: 'string', pattern: /^[A-Z0-9]+$/, patternHint: 'contain only uppercase letters and digits', default: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' },
+  partyCodeLength: { env: 'PARTY_CODE_LENGTH', type: 'integer', min: 4, max: 16, default: 6 },
+  vanityCodeDays: { env: 'VANITY_CODE_DAYS', type: 'number', min: 0.01, default: 7 },
+  maxVanityCodeDays: { env: 'MAX_VANITY_CODE_DAYS', type: 'number', min: 0.01, default: 30 },
+  voteMajority: { env: 'VOTE_MAJORITY', type: 'number', min: 0, max: 0.99, default: 0.5 },
+  storage: { env: 'STORAGE', type: 'enum', values: ['file', 'memory'], default: 'file' },
+  storageFile: { env: 'STORAGE_FILE', type: 'string', default: path.join(__dirname, 'data', 'parties.json') },
+  bus: { env: 'BUS', type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+  redisUrl: { env: 'REDIS_URL', type: 'string', secret: true, default: 'redis://localhost:6379' },
+  busChannel: { env: 'BUS_CHANNEL', type: 'string', default: 'wparty' }
+};
+
+// Turn a file or environment value into the option's type; returns { value } or { error }.
+// Environment values are always strings; file values must already have the right JSON type.
+function parseValue(option, raw, fromEnv) {
+  let value = raw;
+  if (fromEnv && (option.type === 'integer' || option.type === 'number')) {
+    value = raw.trim() === '' ? NaN : Number(raw);
+  } else if (fromEnv && option.type === 'boolean') {
+    const lower = raw.trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(lower)) value = true;
+    else if (['false', '0', 'no', 'off'].includes(lower)) value = false;
+  }
+
+  switch (option.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (option.type === 'integer' && !Number.isInteger(value)) return { error: 'must be a whole number' };
+      if (option.min !== undefined && value < option.min) return { error: `must be at least ${option.min}` };
+      if (option.max !== undefined && value > option.max) return { error: `must be at most ${option.max}` };
+      return { value };
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+    case 'enum':
+      return option.values.includes(value) ? { value } : { error: `must be one of ${option.values.join(', ')}` };
+    default:
+      if (value === null) return { value };
+      if (typeof value !== 'string' || value === '') return { error: 'must be a non-empty string' };
+      if (option.pattern && !option.pattern.test(value)) return { error: `must ${option.patternHint}` };
+      return { value };
+  }
+}
+
+// Read the config file; a missing default file is fine, a missing CONFIG_FILE is not
+function readConfigFile(env) {
+  const filePath = env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  let contents;
+  try {
+    contents = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !env.CONFIG_FILE) return { filePath: null, values: {} };
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+
+  let values;
+  try {
+    values = JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Config file ${filePath} must hold a JSON object`);
+  }
+  return { filePath, values };
+}
+
+// Checks between options that are each valid on their own
+function checkCombinations(config) {
+  const problems = [];
+  if (!config.tlsCert !== !config.tlsKey) {
+    problems.push('tlsCert and tlsKey must be set together');
+  }
+  if (new Set(config.partyCodeChars).size !== config.partyCodeChars.length) {
+    problems.push('partyCodeChars must not repeat characters');
+  } else if (config.partyCodeChars.length < MIN_PARTY_CODE_CHARS) {
+    problems.push(`partyCodeChars must have at least ${MIN_PARTY_CODE_CHARS} characters`);
+  }
+  if (config.vanityCodeDays > config.maxVanityCodeDays) {
+    problems.push('vanityCodeDays must not exceed maxVanityCodeDays');
+  }
+  return problems;
+}
+
+// Build the effective configuration. Returns { config, sources, filePath }, where
+// sources maps each option to 'default', 'file' or its environment variable.
+function loadConfig(env = process.env) {
+  const { filePath, values } = readConfigFile(env);
+  const config = {};
+  const sources = {};
+  const problems = [];
+
+  for (const key of Object.keys(values)) {
+    if (!Object.prototype.hasOwnProperty.call(OPTIONS, key)) problems.push(`Unknown option in config file: ${key}`);
+  }
+
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    config[key] = option.default;
+    sources[key] = 'default';
+
+    const candidates = [];
+    if (Object.prototype.hasOwnProperty.call(values, key)) candidates.push([values[key], false, 'file']);
+    if (env[option.env] !== undefined && env[option.env] !== '') candidates.push([env[option.env], true, option.env]);
+
+    for (const [raw, fromEnv, source] of candidates) {
+      const result = parseValue(option, raw, fromEnv);
+      if (result.error) {
+        problems.push(`${key} (${fromEnv ? option.env : 'config file'}) ${result.error}, got ${JSON.stringify(raw)}`);
+      } else {
+        config[key] = result.value;
+        sources[key] = source;
+      }
+    }
+  }
+
+  problems.push(...checkCombinations(config));
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+  }
+  return { config: Object.freeze(config), sources, filePath };
+}
+
+// Show a secret URL without its credentials
+function redact(value) {
+  try {
+    const url = new URL(value);
+    if (url.username || url.password) {
+      url.username = '***';
+      url.password = '';
+    }
+    return url.toString();
+  } catch (error) {
+    return '***';
+  }
+}
+
+// Lines listing every option's effective value and where it came from
+function describeConfig({ config, sources, filePath }) {
+  const lines = [`Configuration (file: ${filePath || 'none'}):`];
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    const value = option.secret && config[key] ? redact(config[key]) : config[key];
+    lines.push(`  ${key} = ${JSON.stringify(value)} (${sources[key]})`);
+  }
+  return lines;
+}
+
+module.exports = { loadConfig, describeConfig };
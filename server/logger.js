@@ -0,0 +1,23 @@
+// Leveled console logging; messages below the configured level are dropped.
+// Levels from most to least severe: error, warn, info, debug.
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+let threshold = LOG_LEVELS.indexOf('info');
+
+function setLogLevel(level) {
+  threshold = LOG_LEVELS.indexOf(level);
+}
+
+function enabled(level) {
+  return LOG_LEVELS.indexOf(level) <= threshold;
+}
+
+const log = {
+  error: (...args) => enabled('error') && console.error(...args),
+  warn: (...args) => enabled('warn') && console.warn(...args),
+  info: (...args) => enabled('info') && console.log(...args),
+  debug: (...args) => enabled('debug') && console.log(...args)
+};
+
+module.exports = { log, setLogLevel, LOG_LEVELS };
@@ -0,0 +1,136 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+
+// Escape a label value for the exposition format
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Render a label set as {a="1",b="2"} (or nothing when there are no labels)
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return `{${keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+// Monotonically increasing value, optionally split by labels
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    if (this.values.size === 0) return [`${this.name} 0`];
+    return Array.from(this.values.entries()).map(([key, value]) => `${this.name}${key} ${value}`);
+  }
+}
+
+// Value read from a callback at scrape time
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  render() {
+    return [`${this.name} ${this.collect()}`];
+  }
+}
+
+// Distribution of observed values over fixed buckets
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  render() {
+    const lines = this.buckets.map((bound, i) => `${this.name}_bucket{le="${bound}"} ${this.counts[i]}`);
+    lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+    lines.push(`${this.name}_sum ${this.sum}`);
+    lines.push(`${this.name}_count ${this.count}`);
+    return lines;
+  }
+}
+
+// Counts events over a sliding window to report a per-second rate
+class RateWindow {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.events = [];
+  }
+
+  mark(now = Date.now()) {
+    this.events.push(now);
+    this.prune(now);
+  }
+
+  prune(now) {
+    const cutoff = now - this.windowMs;
+    while (this.events.length > 0 && this.events[0] <= cutoff) {
+      this.events.shift();
+    }
+  }
+
+  perSecond(now = Date.now()) {
+    this.prune(now);
+    return this.events.length / (this.windowMs / 1000);
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.render());
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = { Registry, RateWindow };
@@ -0,0 +1,107 @@
+// Token-bucket rate limiting for inbound client messages
+
+// Default limits; `capacity` is the burst size and `refillPerSecond` the sustained rate
+const CONNECTION_LIMIT = { capacity: 60, refillPerSecond: 20 };
+const TYPE_LIMITS = {
+  'hello': { capacity: 3, refillPerSecond: 0.1 },
+  'create-party': { capacity: 5, refillPerSecond: 0.2 },
+  'join': { capacity: 10, refillPerSecond: 0.5 },
+  'resume': { capacity: 5, refillPerSecond: 0.2 },
+  'sync': { capacity: 20, refillPerSecond: 5 },
+  'video-info': { capacity: 5, refillPerSecond: 1 },
+  'transfer-host': { capacity: 5, refillPerSecond: 1 },
+  'kick': { capacity: 5, refillPerSecond: 1 },
+  'ban': { capacity: 5, refillPerSecond: 1 },
+  'chat': { capacity: 10, refillPerSecond: 1 },
+  'queue-add': { capacity: 10, refillPerSecond: 1 },
+  'queue-remove': { capacity: 10, refillPerSecond: 2 },
+  'queue-move': { capacity: 10, refillPerSecond: 2 },
+  'queue-next': { capacity: 5, refillPerSecond: 1 },
+  'video-ended': { capacity: 5, refillPerSecond: 1 },
+  'poll-create': { capacity: 3, refillPerSecond: 0.1 },
+  'poll-vote': { capacity: 10, refillPerSecond: 2 },
+  'poll-close': { capacity: 5, refillPerSecond: 1 },
+  'ready-check': { capacity: 3, refillPerSecond: 0.1 },
+  'ready': { capacity: 10, refillPerSecond: 2 },
+  'ready-check-cancel': { capacity: 5, refillPerSecond: 1 },
+  'buffering': { capacity: 10, refillPerSecond: 2 },
+  'ad': { capacity: 10, refillPerSecond: 2 },
+  'party-settings': { capacity: 5, refillPerSecond: 1 },
+  'create-invite': { capacity: 5, refillPerSecond: 0.2 },
+  'reaction': { capacity: 10, refillPerSecond: 2 },
+  'ping': { capacity: 10, refillPerSecond: 1 },
+  'list-parties': { capacity: 5, refillPerSecond: 1 },
+  'get-event-log': { capacity: 3, refillPerSecond: 0.1 }
+};
+
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  // Take a token if one is available
+  take(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  // Milliseconds until the next token is available
+  waitTime(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens >= 1) return 0;
+    return Math.ceil((1 - this.tokens) / this.refillPerSecond * 1000);
+  }
+}
+
+// Limits for one connection: an overall bucket plus one bucket per message type
+class ConnectionLimiter {
+  constructor(connectionLimit = CONNECTION_LIMIT, typeLimits = TYPE_LIMITS) {
+    this.connection = new TokenBucket(connectionLimit);
+    this.typeLimits = typeLimits;
+    this.buckets = new Map();
+    this.notified = new Set();
+  }
+
+  // Returns null if the message may go through, otherwise
+  // { retryAfter (ms), notify (only true for the first rejection in a row, so floods get one error) }
+  check(type, now = Date.now()) {
+    let bucket = this.buckets.get(type);
+    if (!bucket && this.typeLimits[type]) {
+      bucket = new TokenBucket(this.typeLimits[type], now);
+      this.buckets.set(type, bucket);
+    }
+
+    // Check every bucket before taking from any, so a message refused by one limit does
+    // not use up the other. The type bucket comes first so a flood of one type is reported
+    // as that type rather than as the overall limit.
+    const limiters = [[type, bucket], ['*', this.connection]].filter(([, limiter]) => limiter);
+    for (const [key, limiter] of limiters) {
+      const retryAfter = limiter.waitTime(now);
+      if (retryAfter > 0) {
+        const notify = !this.notified.has(key);
+        this.notified.add(key);
+        return { retryAfter, notify };
+      }
+    }
+    for (const [, limiter] of limiters) {
+      limiter.take(now);
+    }
+
+    this.notified.delete(type);
+    this.notified.delete('*');
+    return null;
+  }
+}
+
+module.exports = { TokenBucket, ConnectionLimiter };
@@ -0,0 +1,179 @@
+// Replays an exported party event log (the `event-log` message saved from the popup)
+// against a server, so a sync problem can be reproduced while watching in a browser.
+//
+// Usage: node replay.js <log.json> [--server ws://localhost:8080] [--party CODE]
+//                       [--password PASSWORD] [--speed 1] [--wait 10]
+//
+// A "Replay" connection creates a new party (or joins --party) and holds the host role.
+// The server drops beacons and setting changes from anyone but the host, so --party
+// only works for a party with nobody in it (the first to rejoin becomes host); for any
+// other party the replay stops before sending anything.
+// Every participant in the log gets a connection of their own, which joins, leaves,
+// drops and resumes when they did and sends the same sync, video, buffering and ad
+// reports. Host beacons and setting changes are sent by the replay host instead.
+// Changes the server made by itself (votes, auto-wait) are not sent: the replayed
+// events that caused them should make the server repeat them.
+
+const fs = require('fs');
+const { PartyClient } = require('./client');
+
+const REPLAY_USERNAME = 'Replay';
+const SETTLE_TIME = 2000; // ms to let the last events land before disconnecting
+
+// Read `--name value` options following the log file path
+function parseArgs(argv) {
+  const options = { server: 'ws://localhost:8080', party: null, password: null, speed: 1, wait: 10 };
+  const [file, ...rest] = argv;
+  for (let i = 0; i < rest.length; i += 2) {
+    const name = rest[i].replace(/^--/, '');
+    if (!(name in options) || rest[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${rest[i]}`);
+    }
+    options[name] = ['speed', 'wait'].includes(name) ? parseFloat(rest[i + 1]) : rest[i + 1];
+  }
+  if (!file) throw new Error('Missing log file');
+  if (!(options.speed > 0)) throw new Error('--speed must be a positive number');
+  return { file, options };
+}
+
+// Connect a client that reports the server's errors
+function openConnection(url, label) {
+  const client = new PartyClient(url, label);
+  client.on('message', (message) => {
+    if (message.type === 'error') {
+      console.log(`[${label}] server error: ${message.code} ${message.message}`);
+    }
+  });
+  return client.connect();
+}
+
+// Send a message on a participant's connection, if they have one
+function send(client, message) {
+  if (client) client.send(message);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function replay(events, options) {
+  const host = await openConnection(options.server, REPLAY_USERNAME);
+  const password = options.password || undefined;
+  const { partyCode, hostId, clientId } = options.party
+    ? await host.join(options.party.toUpperCase(), { password })
+    : await host.create({ password });
+  if (hostId !== undefined && hostId !== clientId) {
+    host.close();
+    throw new Error(`Party ${partyCode} already has a host, so its beacons and setting changes would be dropped; replay into a new party or an empty persistent one`);
+  }
+
+  console.log(`Replaying ${events.length} events into party ${partyCode}; starting in ${options.wait}s`);
+  await sleep(options.wait * 1000);
+
+  // Recorded client id -> that participant's client
+  const participants = new Map();
+
+  async function join(event) {
+    const client = await openConnection(options.server, event.username);
+    await client.join(partyCode, { password });
+    participants.set(event.clientId, client);
+  }
+
+  const startedAt = Date.now();
+  const firstAt = events.length > 0 ? events[0].at : 0;
+
+  for (const event of events) {
+    // Keep to the recorded timing, scaled by --speed
+    const due = startedAt + (event.at - firstAt) / options.speed;
+    if (due > Date.now()) await sleep(due - Date.now());
+
+    const participant = participants.get(event.clientId);
+    const offset = ((event.at - firstAt) / 1000).toFixed(1);
+    console.log(`+${offset}s ${event.kind} ${event.username || ''} ${event.action || ''}`.trim());
+
+    try {
+      switch (event.kind) {
+        case 'join':
+          if (!participant) await join(event);
+          break;
+
+        case 'resume':
+          if (participant) {
+            await participant.resume();
+          } else {
+            await join(event);
+          }
+          break;
+
+        case 'leave':
+          if (participant) {
+            participant.leave();
+            participant.close();
+            participants.delete(event.clientId);
+          }
+          break;
+
+        case 'disconnect':
+          // Drop without leaving, so the server keeps the place for a resume
+          if (participant) participant.terminate();
+          break;
+
+        case 'sync': {
+          // The recorded send time is long past; the client stamps a fresh one
+          const { sentAt, ...data } = event.data || {};
+          if (event.action === 'beacon') {
+            send(host, { type: 'sync', action: 'beacon', data });
+          } else {
+            send(participant, { type: 'sync', action: event.action, data });
+          }
+          break;
+        }
+
+        case 'video':
+          send(participant || host, { type: 'video-info', data: { url: event.url, title: event.title || undefined, duration: event.duration || undefined } });
+          break;
+
+        case 'buffering':
+          send(participant, { type: 'buffering', buffering: event.buffering });
+          break;
+
+        case 'ad':
+          send(participant, { type: 'ad', inAd: event.inAd });
+          break;
+
+        case 'settings':
+          send(host, { type: 'party-settings', settings: event.settings });
+          break;
+      }
+    } catch (error) {
+      console.log(`  could not replay: ${error.message}`);
+    }
+  }
+
+  await sleep(SETTLE_TIME);
+  participants.forEach(client => client.close());
+  host.close();
+  console.log('Replay finished');
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node replay.js <log.json> [--server URL] [--party CODE] [--password PASSWORD] [--speed N] [--wait SECONDS]');
+    process.exit(1);
+  }
+
+  // Accept either the whole `event-log` message or just its events
+  const log = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  const events = (Array.isArray(log) ? log : log.events || []).slice().sort((a, b) => a.at - b.at);
+
+  replay(events, args.options).catch((error) => {
+    console.error('Replay failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { replay };
@@ -1,70 +1,1066 @@
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { createBus } = require('./bus');
+const { Registry, RateWindow } = require('./metrics');
+const { parseMessage, validateMessage, LIMITS } = require('./validation');
+const { ConnectionLimiter } = require('./ratelimit');
+const { loadConfig, describeConfig } = require('./config');
+const { log, setLogLevel } = require('./logger');
 
-const PORT = process.env.PORT || 8080;
-const HEARTBEAT_INTERVAL = 30000; // 30 seconds
-const PARTY_IDLE_TIMEOUT = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+// Settings from config.json and the environment, checked before anything starts
+let loadedConfig;
+try {
+  loadedConfig = loadConfig();
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
+const config = loadedConfig.config;
+setLogLevel(config.logLevel);
+// Printed whatever the log level, so every boot records what it ran with
+describeConfig(loadedConfig).forEach(line => console.log(line));
+
+const PORT = config.port;
+const TLS_CERT = config.tlsCert; // PEM certificate chain; with TLS_KEY, serve wss:// directly
+const TLS_KEY = config.tlsKey;
+const WS_PATH = config.wsPath; // Only accept WebSocket connections on this path, e.g. /ws
+const TRUST_PROXY_HOPS = config.trustProxyHops; // Reverse proxies in front of the server that append to X-Forwarded-For
+const SERVER_VERSION = require('./package.json').version;
+const PROTOCOL_VERSION = 1; // Bumped on changes old clients cannot cope with
+const MIN_PROTOCOL_VERSION = 1; // Oldest client protocol still served
+const INCOMPATIBLE_PROTOCOL_CLOSE_CODE = 4001; // WebSocket close code for refused clients, so they stop reconnecting
+// Optional features this server supports, announced in the `hello` reply
+const SERVER_FEATURES = ['resume', 'chat', 'reactions', 'queue', 'polls', 'ready-check', 'buffering', 'ads', 'party-settings', 'invites', 'party-directory', 'vanity-codes', 'event-log']
+  .filter(feature => config.allowPersistentParties || feature !== 'vanity-codes');
+const HEARTBEAT_INTERVAL = config.heartbeatInterval;
+const PARTY_IDLE_TIMEOUT = config.partyIdleTimeout; // How long an empty persistent party is kept
+const CLEANUP_INTERVAL = config.cleanupInterval; // How often idle persistent parties are looked for
+const MAX_PARTIES = config.maxParties; // Parties this instance holds at once; 0 for no limit
+const MAX_PARTICIPANTS = config.maxParticipants; // Participants per party, whatever its creator chose; 0 for no limit
+const MAX_MESSAGE_SIZE = config.maxMessageSize; // Bytes per inbound message
+const PARTY_CODE_CHARS = config.partyCodeChars; // The default avoids confusing chars like 0, O, I, 1
+const MIN_PARTY_CODE_LENGTH = 4;
+const MAX_PARTY_CODE_LENGTH = 16;
+const PARTY_CODE_LENGTH = config.partyCodeLength;
+const PARTY_CODE_ATTEMPTS = 20; // Random codes tried before giving up on finding a free one
+const VANITY_CODE_PATTERN = new RegExp(`^[A-Z0-9]{${MIN_PARTY_CODE_LENGTH},${MAX_PARTY_CODE_LENGTH}}$`);
+const DAY = 24 * 60 * 60 * 1000;
+const VANITY_CODE_DAYS = config.vanityCodeDays; // How long an empty party keeps a vanity code by default
+const MAX_VANITY_CODE_DAYS = config.maxVanityCodeDays; // Longest reservation a creator can ask for
 const MS_TO_HOURS = 1000 * 60 * 60; // Conversion constant from milliseconds to hours
+const MAX_SYNC_TRANSIT = 5000; // Ignore sender timestamps claiming a longer transit than this
+const LATENCY_REPORT_THRESHOLD = 20; // Only rebroadcast participants when latency moves by this many ms
+const STORAGE_BACKEND = config.storage; // 'file' or 'memory'
+const STORAGE_FILE = config.storageFile;
+const BUS_BACKEND = config.bus; // 'memory' (single instance) or 'redis'
+const REDIS_URL = config.redisUrl;
+const BUS_CHANNEL = config.busChannel;
+const INSTANCE_TIMEOUT = HEARTBEAT_INTERVAL * 3; // Drop another instance's participants after this long without hearing from it
+const INSTANCE_ID = uuidv4(); // Identifies this server process on the message bus
+const SYNC_RATE_WINDOW = 10000; // Average sync relays per second over this many ms
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }; // Cost parameters for new password hashes
+const SCRYPT_KEY_LENGTH = 32;
+const SCRYPT_SALT_LENGTH = 16;
+const MAX_PASSWORD_ATTEMPTS_PER_CONNECTION = 5; // Failed attempts per party before a connection is locked out
+const MAX_PASSWORD_ATTEMPTS_PER_IP = 20; // Failed attempts per party before an IP address is locked out
+const PASSWORD_ATTEMPT_WINDOW = 15 * 60 * 1000; // Failed attempts are counted over 15 minutes
+const PASSWORD_LOCKOUT = 15 * 60 * 1000; // Lockout duration once a limit is hit
+const RESUME_GRACE_PERIOD = 2 * 60 * 1000; // How long a dropped participant can resume their session
+const RESUME_TOKEN_BYTES = 24;
+const MAX_MISSED_EVENTS = 100; // Recent broadcasts kept per party for resuming participants
+const MAX_EVENT_LOG = 2000; // Entries kept in each party's event log, oldest dropped first
+const UNREPLAYED_TYPES = new Set(['participants', 'sync', 'chat', 'reaction', 'queue', 'poll', 'ready-check', 'party-settings']); // Covered by the snapshot sent on resume, or only meaningful live
+const MAX_CHAT_HISTORY = 50; // Chat messages kept per party and sent to joiners
+const MAX_REACTIONS = 500; // Reactions kept per persistent party for the current video's timeline
+const MAX_QUEUE_LENGTH = 100; // Videos that can be queued per party
+const MAX_OPEN_POLLS = 3; // Polls that can run at once per party
+const POLL_DURATION = 2 * 60 * 1000; // Polls close after this long
+const VOTE_MAJORITY = config.voteMajority; // Action votes pass once more than this share of participants agree
+const VOTE_PAUSE_DURATION = 5 * 60 * 1000; // How long a "pause" vote pauses for
+const VOTE_REWIND_SECONDS = 30; // How far a "rewind" vote rewinds
+const VOTE_USERNAME = 'Party vote'; // Shown as the sender of changes made by a vote
+const READY_CHECK_TIMEOUT = 60 * 1000; // A ready check is called off if not everyone is ready by then
+const COUNTDOWN_SECONDS = 3; // Length of the countdown once everyone is ready
+// autoWait: pause everyone while anyone is buffering; waitForAds: pause everyone while anyone is watching an ad
+const DEFAULT_PARTY_SETTINGS = { autoWait: false, waitForAds: false };
+const AUTO_WAIT_USERNAME = 'Auto-wait'; // Shown as the sender of pauses and resumes made while waiting for participants
+const INVITE_TOKEN_BYTES = 18;
+const INVITE_LIFETIME = 24 * 60 * 60 * 1000; // One-time invites expire if unused for this long
+const MAX_INVITES = 50; // Unused invites kept per party; the oldest are dropped first
+const DEFAULT_VISIBILITY = 'unlisted'; // 'public' parties are listed, 'unlisted' ones joined by code, 'private' ones by invite
+const MAX_LISTED_PARTIES = 50; // Largest parties returned by list-parties
+const ACTION_POLLS = {
+  skip: 'Skip to the next video?',
+  pause: 'Pause for 5 minutes?',
+  rewind: 'Rewind 30 seconds?'
+};
 
 // Store active parties/rooms
-// Structure: { partyCode: { participants: Map(clientId -> {ws, username}), video: {url, title}, passwordHash: string|null, persistent: boolean, createdAt: number, lastActivity: number } }
+// Structure: { partyCode: { participants: Map(clientId -> {ws, instanceId, username, videoUrl, ip, deviceId, latency, joinedAt, resumeTokenHash, disconnectedAt, buffering, inAd}), hostId: string|null, previousHostId: string|null, banned: Set(ip), bannedDevices: Set(deviceId), video: {url, title}, playback: {playing, position, playbackRate, updatedAt, startAt?}, chat: [{id, clientId, username, text, timestamp}], reactions: [{id, clientId, username, emoji, position, videoUrl, timestamp}], queue: [{id, url, title, addedBy, addedAt}], polls: [{id, kind, question, options, votes: {clientId: option}, createdBy, createdById, createdAt, expiresAt}], readyCheck: {id, position, startedBy, startedById, startedAt, ready: {clientId: true}}|null, settings: {autoWait, waitForAds}, autoPaused: boolean, passwordHash: string|null, persistent: boolean, createdAt: number, lastActivity: number } }
+// Participants connected to other server instances are mirrored here with `ws: null`,
+// as are our own participants whose connection dropped (with `disconnectedAt` set)
 const parties = new Map();
 
-// Hash password using SHA-256
-function hashPassword(password) {
+// Recent broadcasts per party, replayed to participants resuming after a dropped connection
+// Structure: { partyCode: [{ timestamp, excludeId, message }] }
+const recentEvents = new Map();
+
+// Each party's event log for get-event-log and replay: partyCode -> [{ at, kind, ...details }], the last MAX_EVENT_LOG (2000) events
+const eventLogs = new Map();
+
+// Durable store for persistent parties so they survive server restarts
+const store = createStore(STORAGE_BACKEND, { filePath: STORAGE_FILE });
+
+// Message bus shared with other server instances, and when we last heard from each of them
+const bus = createBus(BUS_BACKEND, INSTANCE_ID, { url: REDIS_URL, channel: BUS_CHANNEL });
+const instanceLastSeen = new Map();
+
+// Prometheus metrics served on /metrics
+const metrics = new Registry();
+const syncRate = new RateWindow(SYNC_RATE_WINDOW);
+metrics.gauge('wparty_connections_active', 'Open WebSocket connections on this instance', () => wss.clients.size);
+metrics.gauge('wparty_parties_active', 'Parties known to this instance', () => parties.size);
+metrics.gauge('wparty_parties_persistent', 'Persistent parties known to this instance', () => {
+  return Array.from(parties.values()).filter(party => party.persistent).length;
+});
+metrics.gauge('wparty_sync_relays_per_second', `Sync events relayed per second, averaged over ${SYNC_RATE_WINDOW / 1000}s`, () => syncRate.perSecond());
+const messagesTotal = metrics.counter('wparty_messages_total', 'Messages received from clients, by type');
+const syncRelaysTotal = metrics.counter('wparty_sync_relays_total', 'Sync events relayed to other participants');
+const broadcastFanout = metrics.histogram('wparty_broadcast_fanout', 'Local recipients per party broadcast', [0, 1, 2, 5, 10, 20, 50, 100]);
+const heartbeatTerminations = metrics.counter('wparty_heartbeat_terminations_total', 'Connections terminated for missing heartbeats');
+const rejectedTotal = metrics.counter('wparty_messages_rejected_total', 'Messages rejected by validation or rate limiting, by error code');
+const errorsTotal = metrics.counter('wparty_errors_total', 'Errors, by kind (client = error replies, message = failed messages, socket = connection errors)');
+
+// Failed password attempts per party, keyed by `${partyCode}|ip|${ip}` or `${partyCode}|conn|${clientId}`
+// Structure: { count: number, windowStart: number, lockedUntil: number }
+const passwordAttempts = new Map();
+
+// Derive an scrypt key as a promise
+function scrypt(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, params, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+// Hash password with a random salt using scrypt.
+// Format: scrypt$N$r$p$<salt base64>$<key base64>
+async function hashPassword(password) {
   if (!password) return null;
-  return crypto.createHash('sha256').update(password).digest('hex');
+  const salt = crypto.randomBytes(SCRYPT_SALT_LENGTH);
+  const key = await scrypt(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+// Check a password against a stored hash in constant time. Also accepts the
+// unsalted SHA-256 hex hashes stored by older versions of the server.
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || !password || !storedHash) return false;
+
+  let expected;
+  let actual;
+  if (storedHash.startsWith('scrypt$')) {
+    const [, N, r, p, salt, key] = storedHash.split('$');
+    expected = Buffer.from(key, 'base64');
+    actual = await scrypt(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+  } else {
+    expected = Buffer.from(storedHash, 'hex');
+    actual = crypto.createHash('sha256').update(password).digest();
+  }
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 }
 
-// Generate a short, human-readable party code
+// Whether a stored hash predates salted scrypt hashing
+function needsRehash(storedHash) {
+  return !!storedHash && !storedHash.startsWith('scrypt$');
+}
+
+// Milliseconds left on a password lockout for this connection or IP (0 if not locked out)
+function getPasswordLockout(partyCode, ip, clientId, now = Date.now()) {
+  let remaining = 0;
+  for (const key of [`${partyCode}|ip|${ip}`, `${partyCode}|conn|${clientId}`]) {
+    const attempts = passwordAttempts.get(key);
+    if (attempts && attempts.lockedUntil > now) {
+      remaining = Math.max(remaining, attempts.lockedUntil - now);
+    }
+  }
+  return remaining;
+}
+
+// The attempt records a password attempt counts against, with their limits
+function getAttemptLimits(partyCode, ip, clientId) {
+  return [
+    [`${partyCode}|ip|${ip}`, MAX_PASSWORD_ATTEMPTS_PER_IP],
+    [`${partyCode}|conn|${clientId}`, MAX_PASSWORD_ATTEMPTS_PER_CONNECTION]
+  ];
+}
+
+// Count a password attempt against both the connection and the IP before it is checked,
+// since checking is asynchronous and attempts sent together would otherwise all get in
+// under the limit. Returns the milliseconds left on a lockout if the attempt is refused
+// (and not counted), otherwise 0.
+function reservePasswordAttempt(partyCode, ip, clientId, now = Date.now()) {
+  const lockout = getPasswordLockout(partyCode, ip, clientId, now);
+  if (lockout > 0) return lockout;
+
+  const records = getAttemptLimits(partyCode, ip, clientId).map(([key, limit]) => {
+    let attempts = passwordAttempts.get(key);
+    if (!attempts || now - attempts.windowStart > PASSWORD_ATTEMPT_WINDOW) {
+      attempts = { count: 0, windowStart: now, lockedUntil: 0 };
+      passwordAttempts.set(key, attempts);
+    }
+    return [attempts, limit];
+  });
+
+  // Attempts still being checked use up the allowance as well
+  if (records.some(([attempts, limit]) => attempts.count >= limit)) return PASSWORD_LOCKOUT;
+  records.forEach(([attempts]) => attempts.count++);
+  return 0;
+}
+
+// A counted attempt had the wrong password: lock out any limit it used up
+function recordFailedPassword(partyCode, ip, clientId, now = Date.now()) {
+  for (const [key, limit] of getAttemptLimits(partyCode, ip, clientId)) {
+    const attempts = passwordAttempts.get(key);
+    if (attempts && attempts.count >= limit && attempts.lockedUntil <= now) {
+      attempts.lockedUntil = now + PASSWORD_LOCKOUT;
+      log.warn(`Password attempts locked out for ${key}`);
+    }
+  }
+}
+
+// Forget failed attempts after a successful join
+function clearFailedPasswords(partyCode, ip, clientId) {
+  passwordAttempts.delete(`${partyCode}|ip|${ip}`);
+  passwordAttempts.delete(`${partyCode}|conn|${clientId}`);
+}
+
+// Drop attempt records whose window and lockout have both expired
+function prunePasswordAttempts(now = Date.now()) {
+  for (const [key, attempts] of passwordAttempts.entries()) {
+    if (attempts.lockedUntil <= now && now - attempts.windowStart > PASSWORD_ATTEMPT_WINDOW) {
+      passwordAttempts.delete(key);
+    }
+  }
+}
+
+// Generate a short, human-readable party code that no party this instance knows of is using:
+// its own, persistent ones restored from storage, and those other instances have published.
+// A code reserved on another instance that has not been published since this one started
+// is not known here, so a collision with it is unlikely but possible.
 function generatePartyCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Avoid confusing chars like 0, O, I, 1
-  let code = '';
-  for (let i = 0; i < 6; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+  for (let attempt = 0; attempt < PARTY_CODE_ATTEMPTS; attempt++) {
+    let code = '';
+    for (let i = 0; i < PARTY_CODE_LENGTH; i++) {
+      code += PARTY_CODE_CHARS.charAt(crypto.randomInt(PARTY_CODE_CHARS.length));
+    }
+    if (!parties.has(code)) return code;
   }
-  return code;
+  throw new Error(`No free party code found after ${PARTY_CODE_ATTEMPTS} attempts`);
 }
 
-// Broadcast message to all participants in a party except sender
-function broadcastToParty(partyCode, message, senderId = null) {
+// How long a persistent party may stay empty before it is cleaned up
+function getIdleTimeout(party) {
+  return party.idleTimeout || PARTY_IDLE_TIMEOUT;
+}
+
+// Generate the secret a participant presents to resume their session after reconnecting
+function generateResumeToken() {
+  return crypto.randomBytes(RESUME_TOKEN_BYTES).toString('base64url');
+}
+
+// Invite and resume tokens are stored hashed so a saved or shared party state (on disk or
+// on the message bus) cannot be used to join or to take over someone's session
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('base64url');
+}
+
+// Issue a one-time invite that lets its holder join without the party password
+function createInvite(party, createdBy, timestamp = Date.now()) {
+  const token = crypto.randomBytes(INVITE_TOKEN_BYTES).toString('base64url');
+  const invite = { hash: hashToken(token), createdBy, createdAt: timestamp, expiresAt: timestamp + INVITE_LIFETIME };
+  party.invites = party.invites.filter(entry => entry.expiresAt > timestamp);
+  party.invites.push(invite);
+  if (party.invites.length > MAX_INVITES) party.invites.shift();
+  return { token, expiresAt: invite.expiresAt };
+}
+
+// Use up an invite, returning whether it was valid
+function consumeInvite(party, token, timestamp = Date.now()) {
+  const hash = hashToken(token);
+  const index = party.invites.findIndex(entry => entry.hash === hash && entry.expiresAt > timestamp);
+  if (index === -1) return false;
+  party.invites.splice(index, 1);
+  return true;
+}
+
+// Tidy tags given at creation: lowercase, trimmed and without repeats
+function normalizeTags(tags) {
+  return Array.from(new Set((tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean)));
+}
+
+// Create the initial playback state for a party (paused at the start)
+function createPlaybackState(timestamp = Date.now()) {
+  return {
+    playing: false,
+    position: 0,
+    playbackRate: 1,
+    updatedAt: timestamp
+  };
+}
+
+// Extrapolate the party's playback position to the given server time
+function getPlaybackPosition(playback, timestamp = Date.now()) {
+  if (!playback.playing) return playback.position;
+  // After a ready check, playback holds at the target until the countdown ends at `startAt`
+  const since = Math.max(playback.updatedAt, playback.startAt || 0);
+  return playback.position + (Math.max(0, timestamp - since) / 1000) * playback.playbackRate;
+}
+
+// Stop the party's playback clock, keeping the position it has reached
+function freezePlayback(playback, timestamp = Date.now()) {
+  playback.position = getPlaybackPosition(playback, timestamp);
+  playback.playing = false;
+  playback.updatedAt = timestamp;
+  delete playback.startAt;
+}
+
+// Apply a relayed sync event to the party's authoritative playback state
+function updatePlaybackState(party, action, data, timestamp) {
+  const playback = party.playback;
+  const hasTime = data && typeof data.currentTime === 'number' && isFinite(data.currentTime);
+  const hasRate = data && typeof data.playbackRate === 'number' && data.playbackRate > 0;
+
+  // Carry the extrapolated position forward so later updates stay continuous
+  playback.position = hasTime ? data.currentTime : getPlaybackPosition(playback, timestamp);
+  if (hasRate) playback.playbackRate = data.playbackRate;
+  delete playback.startAt;
+
+  switch (action) {
+    case 'play':
+    case 'beacon':
+      playback.playing = true;
+      break;
+    case 'pause':
+      playback.playing = false;
+      break;
+  }
+
+  playback.updatedAt = timestamp;
+}
+
+// Serialize the durable parts of a party for the store
+function serializeParty(partyCode, party) {
+  return {
+    partyCode,
+    video: party.video,
+    playback: party.playback,
+    chat: party.chat,
+    reactions: party.reactions,
+    queue: party.queue,
+    settings: party.settings,
+    passwordHash: party.passwordHash,
+    invites: party.invites,
+    idleTimeout: party.idleTimeout,
+    visibility: party.visibility,
+    name: party.name,
+    description: party.description,
+    tags: party.tags,
+    maxParticipants: party.maxParticipants,
+    banned: Array.from(party.banned),
+    bannedDevices: Array.from(party.bannedDevices),
+    persistent: party.persistent,
+    createdAt: party.createdAt,
+    lastActivity: party.lastActivity
+  };
+}
+
+// Save a persistent party's current state (non-persistent parties are never stored)
+function persistParty(partyCode) {
+  const party = parties.get(partyCode);
+  if (party && party.persistent) {
+    store.save(partyCode, serializeParty(partyCode, party));
+  }
+}
+
+// Load stored persistent parties back into memory on startup
+async function restoreParties() {
+  try {
+    const records = await store.load();
+    for (const record of records) {
+      if (parties.has(record.partyCode)) continue;
+      const playback = Object.assign(createPlaybackState(record.lastActivity), record.playback);
+      // Nobody can be watching a party that was just restored
+      playback.playing = false;
+      parties.set(record.partyCode, {
+        participants: new Map(),
+        hostId: null,
+        previousHostId: null,
+        banned: new Set(record.banned || []),
+        bannedDevices: new Set(record.bannedDevices || []),
+        video: record.video || null,
+        playback,
+        chat: record.chat || [],
+        reactions: record.reactions || [],
+        queue: record.queue || [],
+        polls: [],
+        readyCheck: null,
+        settings: Object.assign({}, DEFAULT_PARTY_SETTINGS, record.settings),
+        autoPaused: false,
+        passwordHash: record.passwordHash || null,
+        invites: record.invites || [],
+        idleTimeout: record.idleTimeout || null,
+        visibility: record.visibility || DEFAULT_VISIBILITY,
+        name: record.name || null,
+        description: record.description || null,
+        tags: record.tags || [],
+        maxParticipants: record.maxParticipants || null,
+        persistent: true,
+        createdAt: record.createdAt,
+        lastActivity: record.lastActivity
+      });
+    }
+    if (records.length > 0) {
+      log.info(`Restored ${records.length} persistent parties from ${STORAGE_BACKEND} storage`);
+    }
+    cleanupIdleParties();
+  } catch (error) {
+    log.error('Error restoring persistent parties:', error);
+  }
+}
+
+// Send an error reply to a client, with optional extra fields (e.g. a machine-readable code)
+function sendError(ws, message, timestamp = Date.now(), details = {}) {
+  errorsTotal.inc({ kind: 'client' });
+  // Connections note the party they are in (or trying to join) so errors land in its log
+  if (ws.logContext && ws.logContext.partyCode) {
+    const { partyCode, clientId, username } = ws.logContext;
+    logPartyEvent(partyCode, 'error', { clientId, username, code: details.code || null, message }, timestamp);
+  }
+  ws.send(JSON.stringify({
+    type: 'error',
+    message,
+    ...details,
+    timestamp
+  }));
+}
+
+// Send message to the participants of a party connected to this instance
+function deliverLocally(partyCode, message, excludeId = null) {
   const party = parties.get(partyCode);
   if (!party) return;
 
+  const payload = JSON.stringify(message);
+  let recipients = 0;
   party.participants.forEach((client, clientId) => {
-    if (clientId !== senderId && client.ws.readyState === WebSocket.OPEN) {
-      client.ws.send(JSON.stringify(message));
+    if (clientId !== excludeId && client.ws && client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(payload);
+      recipients++;
     }
   });
+  broadcastFanout.observe(recipients);
+  recordEvent(partyCode, message, excludeId);
+}
+
+// Remember a broadcast so participants who are reconnecting can catch up on it
+function recordEvent(partyCode, message, excludeId = null) {
+  if (UNREPLAYED_TYPES.has(message.type)) return;
+
+  const now = Date.now();
+  const events = recentEvents.get(partyCode) || [];
+  events.push({ timestamp: now, excludeId, message });
+  while (events.length > MAX_MISSED_EVENTS || (events.length > 0 && now - events[0].timestamp > RESUME_GRACE_PERIOD)) {
+    events.shift();
+  }
+  recentEvents.set(partyCode, events);
+}
+
+// Add an entry to a party's event log, used to investigate sync problems after the fact.
+// Each instance logs what happens on it: its own participants and every party-wide change.
+function logPartyEvent(partyCode, kind, details = {}, timestamp = Date.now()) {
+  if (!parties.has(partyCode)) return;
+
+  const eventLog = eventLogs.get(partyCode) || [];
+  eventLog.push(Object.assign({ at: timestamp, kind }, details));
+  if (eventLog.length > MAX_EVENT_LOG) {
+    eventLog.splice(0, eventLog.length - MAX_EVENT_LOG);
+  }
+  eventLogs.set(partyCode, eventLog);
+}
+
+// Broadcasts a participant missed since the given time, oldest first
+function getMissedEvents(partyCode, clientId, since) {
+  const events = recentEvents.get(partyCode) || [];
+  return events
+    .filter(event => event.timestamp > since && event.excludeId !== clientId)
+    .map(event => event.message);
+}
+
+// Broadcast message to all participants in a party except sender
+function broadcastToParty(partyCode, message, senderId = null) {
+  if (!parties.has(partyCode)) return;
+
+  deliverLocally(partyCode, message, senderId);
+  bus.publish({ kind: 'broadcast', partyCode, message, excludeId: senderId });
 }
 
 // Send message to all participants in a party including sender
 function broadcastToAllInParty(partyCode, message) {
+  broadcastToParty(partyCode, message);
+}
+
+// Share this instance's view of a party with the other instances. Each instance
+// only speaks for the participants connected to it.
+function publishParty(partyCode) {
+  const party = parties.get(partyCode);
+  if (!party) return;
+
+  const participants = [];
+  party.participants.forEach((client, clientId) => {
+    if (client.instanceId !== INSTANCE_ID) return;
+    participants.push({
+      id: clientId,
+      username: client.username,
+      videoUrl: client.videoUrl,
+      latency: client.latency,
+      joinedAt: client.joinedAt,
+      resumeTokenHash: client.resumeTokenHash,
+      disconnectedAt: client.disconnectedAt || null,
+      buffering: !!client.buffering,
+      inAd: !!client.inAd
+    });
+  });
+
+  // Addresses and device ids stay with the instance that holds the connection, which is
+  // the one that acts on bans. Reaction timelines can be long, so they are left out; other instances collect
+  // them from the relayed reaction broadcasts instead. Polls and ready checks are never
+  // stored but are shared so votes and ready reports can arrive through any instance.
+  bus.publish({
+    kind: 'party',
+    state: Object.assign(serializeParty(partyCode, party), { hostId: party.hostId, previousHostId: party.previousHostId, participants, polls: party.polls, readyCheck: party.readyCheck, autoPaused: party.autoPaused, reactions: undefined })
+  });
+}
+
+// Merge another instance's view of a party into ours
+function applyRemoteParty(instanceId, state) {
+  const partyCode = state.partyCode;
+  let party = parties.get(partyCode);
+  if (!party) {
+    party = {
+      participants: new Map(),
+      hostId: null,
+      previousHostId: null,
+      banned: new Set(),
+      bannedDevices: new Set(),
+      video: null,
+      playback: createPlaybackState(state.createdAt),
+      chat: [],
+      reactions: [],
+      queue: [],
+      polls: [],
+      readyCheck: null,
+      settings: Object.assign({}, DEFAULT_PARTY_SETTINGS),
+      autoPaused: false,
+      passwordHash: null,
+      invites: [],
+      idleTimeout: null,
+      visibility: DEFAULT_VISIBILITY,
+      name: null,
+      description: null,
+      tags: [],
+      maxParticipants: null,
+      persistent: false,
+      createdAt: state.createdAt,
+      lastActivity: state.lastActivity
+    };
+    parties.set(partyCode, party);
+  }
+
+  party.hostId = state.hostId;
+  party.previousHostId = state.previousHostId || null;
+  // Bans are never lifted, so keep any this instance added that the other has not heard of yet
+  state.banned.forEach(ip => party.banned.add(ip));
+  (state.bannedDevices || []).forEach(id => party.bannedDevices.add(id));
+  // A new video starts a new reaction timeline
+  if ((party.video && party.video.url) !== (state.video && state.video.url)) {
+    party.reactions = [];
+  }
+  party.video = state.video;
+  party.chat = state.chat || [];
+  party.queue = state.queue || [];
+  party.polls = state.polls || [];
+  party.readyCheck = state.readyCheck || null;
+  party.settings = Object.assign({}, DEFAULT_PARTY_SETTINGS, state.settings);
+  party.autoPaused = !!state.autoPaused;
+  party.passwordHash = state.passwordHash;
+  party.invites = state.invites || [];
+  party.idleTimeout = state.idleTimeout || null;
+  party.visibility = state.visibility || DEFAULT_VISIBILITY;
+  party.name = state.name || null;
+  party.description = state.description || null;
+  party.tags = state.tags || [];
+  party.maxParticipants = state.maxParticipants || null;
+  party.persistent = state.persistent;
+  party.lastActivity = Math.max(party.lastActivity, state.lastActivity);
+  // Sync events can race with other updates, so keep whichever playback state is newer
+  if (state.playback.updatedAt >= party.playback.updatedAt) {
+    party.playback = state.playback;
+  }
+
+  // Replace the participants that instance is responsible for
+  for (const [clientId, client] of party.participants.entries()) {
+    if (client.instanceId === instanceId) party.participants.delete(clientId);
+  }
+  for (const participant of state.participants) {
+    // A participant who just resumed their session here may still be listed by their old instance
+    const existing = party.participants.get(participant.id);
+    if (existing && existing.instanceId === INSTANCE_ID && existing.ws) continue;
+
+    party.participants.set(participant.id, {
+      ws: null,
+      instanceId,
+      username: participant.username,
+      videoUrl: participant.videoUrl,
+      latency: participant.latency,
+      joinedAt: participant.joinedAt,
+      resumeTokenHash: participant.resumeTokenHash,
+      disconnectedAt: participant.disconnectedAt,
+      buffering: participant.buffering,
+      inAd: participant.inAd
+    });
+  }
+
+  ensureHost(partyCode);
+  deliverParticipants(partyCode);
+  cleanupEmptyParty(partyCode);
+}
+
+// Forget the participants of instances we have not heard from in a while
+// (crashed or cut off); every surviving instance reaches the same result
+function purgeSilentInstances() {
+  const now = Date.now();
+  for (const [instanceId, lastSeen] of instanceLastSeen.entries()) {
+    if (now - lastSeen < INSTANCE_TIMEOUT) continue;
+
+    instanceLastSeen.delete(instanceId);
+    log.warn(`Instance ${instanceId} went silent, dropping its participants`);
+
+    for (const [partyCode, party] of parties.entries()) {
+      let changed = false;
+      for (const [clientId, client] of party.participants.entries()) {
+        if (client.instanceId === instanceId) {
+          party.participants.delete(clientId);
+          changed = true;
+        }
+      }
+      if (changed) {
+        ensureHost(partyCode);
+        deliverParticipants(partyCode);
+        cleanupEmptyParty(partyCode);
+      }
+    }
+  }
+}
+
+// Handle messages from other server instances
+function handleBusMessage(message) {
+  instanceLastSeen.set(message.source, Date.now());
+
+  switch (message.kind) {
+    case 'hello':
+      // A new instance started; tell it about the parties our clients are in
+      for (const [partyCode, party] of parties.entries()) {
+        const hasLocal = Array.from(party.participants.values()).some(client => client.instanceId === INSTANCE_ID);
+        if (hasLocal) publishParty(partyCode);
+      }
+      break;
+
+    case 'party':
+      applyRemoteParty(message.source, message.state);
+      break;
+
+    case 'broadcast':
+      if (message.message.type === 'reaction') {
+        rememberReaction(message.partyCode, message.message);
+      }
+      // Beacons are not published as party state, so keep our copy of the playback clock moving
+      if (message.message.type === 'sync' && message.message.action === 'beacon' && parties.has(message.partyCode)) {
+        updatePlaybackState(parties.get(message.partyCode), 'beacon', message.message.data, message.message.timestamp);
+      }
+      deliverLocally(message.partyCode, message.message, message.excludeId);
+      break;
+
+    case 'evict': {
+      // Only the instance holding the connection acts on an eviction
+      const party = parties.get(message.partyCode);
+      const client = party && party.participants.get(message.clientId);
+      if (client && client.instanceId === INSTANCE_ID) {
+        evictParticipant(message.partyCode, message.clientId, message.notice);
+      }
+      break;
+    }
+
+    case 'alive':
+      break;
+
+    case 'goodbye':
+      // The instance is shutting down; drop its participants right away
+      instanceLastSeen.set(message.source, 0);
+      purgeSilentInstances();
+      break;
+
+    default:
+      log.warn(`Unknown bus message kind: ${message.kind}`);
+  }
+}
+
+// Keep a reaction on a persistent party's timeline for viewers who come later
+function rememberReaction(partyCode, reaction) {
+  const party = parties.get(partyCode);
+  if (!party || !party.persistent) return;
+
+  const { type, ...entry } = reaction;
+  party.reactions.push(entry);
+  if (party.reactions.length > MAX_REACTIONS) {
+    party.reactions.splice(0, party.reactions.length - MAX_REACTIONS);
+  }
+  persistParty(partyCode);
+}
+
+// Save and share a party's queue after it changes
+function broadcastQueue(partyCode, timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  if (!party) return;
+
+  persistParty(partyCode);
+  publishParty(partyCode);
+  broadcastToAllInParty(partyCode, { type: 'queue', queue: party.queue, timestamp });
+}
+
+// Start the next queued video for everyone (returns false if the queue is empty)
+function advanceQueue(partyCode, username, timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  if (!party || party.queue.length === 0) return false;
+
+  const next = party.queue.shift();
+  party.video = { url: next.url, title: next.title };
+  party.playback = createPlaybackState(timestamp);
+  party.reactions = [];
+  party.lastActivity = timestamp;
+  logPartyEvent(partyCode, 'video', { clientId: null, username, url: next.url, title: next.title, queued: true }, timestamp);
+
+  // Everyone navigates, including whoever triggered the change
+  broadcastToAllInParty(partyCode, {
+    type: 'video-changed',
+    data: party.video,
+    playback: party.playback,
+    username,
+    timestamp
+  });
+  broadcastQueue(partyCode, timestamp);
+  broadcastParticipants(partyCode, timestamp);
+
+  log.info(`Party ${partyCode} advanced to the next queued video: ${next.url}`);
+  return true;
+}
+
+// Participants who can vote (those reconnecting cannot)
+function countVoters(party) {
+  let voters = 0;
+  party.participants.forEach((client) => {
+    if (!client.disconnectedAt) voters++;
+  });
+  return voters;
+}
+
+// Votes needed for an action poll to pass
+function getRequiredVotes(party) {
+  const voters = countVoters(party);
+  return Math.max(1, Math.min(voters, Math.floor(voters * VOTE_MAJORITY) + 1));
+}
+
+// A poll as sent to clients, with the tally of each option
+function getPollView(party, poll, status = 'open') {
+  const tallies = poll.options.map(() => 0);
+  for (const [clientId, option] of Object.entries(poll.votes)) {
+    if (party.participants.has(clientId)) tallies[option]++;
+  }
+  return {
+    id: poll.id,
+    kind: poll.kind,
+    question: poll.question,
+    options: poll.options,
+    tallies,
+    votes: poll.votes,
+    required: poll.kind === 'question' ? null : getRequiredVotes(party),
+    createdBy: poll.createdBy,
+    createdById: poll.createdById,
+    expiresAt: poll.expiresAt,
+    status
+  };
+}
+
+// Send a poll's current tallies (or final result) to everyone in the party
+function broadcastPoll(partyCode, poll, status = 'open', timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  if (!party) return;
+
+  publishParty(partyCode);
+  broadcastToAllInParty(partyCode, { type: 'poll', poll: getPollView(party, poll, status), timestamp });
+}
+
+// End a poll with the given status ('passed', 'failed', 'closed' or 'expired')
+function closePoll(partyCode, pollId, status, timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  const poll = party && party.polls.find(entry => entry.id === pollId);
+  if (!poll) return;
+
+  party.polls = party.polls.filter(entry => entry !== poll);
+  broadcastPoll(partyCode, poll, status, timestamp);
+  log.info(`Poll "${poll.question}" in party ${partyCode} ${status}`);
+
+  if (status === 'passed') {
+    runPollAction(partyCode, poll, timestamp);
+  }
+}
+
+// Check whether a poll has been decided after a vote
+function resolvePoll(partyCode, poll, timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  const view = getPollView(party, poll);
+
+  if (poll.kind === 'question') {
+    // Free-form questions close once everyone connected has answered
+    const answered = view.tallies.reduce((sum, count) => sum + count, 0);
+    if (answered >= countVoters(party)) {
+      closePoll(partyCode, poll.id, 'closed', timestamp);
+    } else {
+      broadcastPoll(partyCode, poll, 'open', timestamp);
+    }
+    return;
+  }
+
+  // Action polls are yes/no: pass on enough yes votes, fail once that can no longer happen
+  const [yes, no] = view.tallies;
+  if (yes >= view.required) {
+    closePoll(partyCode, poll.id, 'passed', timestamp);
+  } else if (no > countVoters(party) - view.required) {
+    closePoll(partyCode, poll.id, 'failed', timestamp);
+  } else {
+    broadcastPoll(partyCode, poll, 'open', timestamp);
+  }
+}
+
+// A sync event carrying the party's playback state, sent by the server itself
+function createPlaybackSync(party, action, timestamp = Date.now(), username = VOTE_USERNAME) {
+  return {
+    type: 'sync',
+    action,
+    data: {
+      currentTime: getPlaybackPosition(party.playback, timestamp),
+      playbackRate: party.playback.playbackRate,
+      playing: party.playback.playing,
+      sentAt: timestamp
+    },
+    username,
+    timestamp
+  };
+}
+
+// Send the party's playback state to everyone as a sync event made by the server
+// (for a vote, or to wait for participants)
+function broadcastPlayback(partyCode, action, timestamp = Date.now(), username = VOTE_USERNAME) {
   const party = parties.get(partyCode);
   if (!party) return;
 
+  persistParty(partyCode);
+  publishParty(partyCode);
+  const sync = createPlaybackSync(party, action, timestamp, username);
+  logPartyEvent(partyCode, 'sync', { clientId: null, username, action, data: sync.data, partyPosition: sync.data.currentTime }, timestamp);
+  broadcastToAllInParty(partyCode, sync);
+}
+
+// Carry out a passed action vote
+function runPollAction(partyCode, poll, timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  if (!party) return;
+
+  switch (poll.kind) {
+    case 'skip':
+      advanceQueue(partyCode, VOTE_USERNAME, timestamp);
+      break;
+
+    case 'pause':
+      freezePlayback(party.playback, timestamp);
+      broadcastPlayback(partyCode, 'pause', timestamp);
+
+      // Start again afterwards, unless someone has touched playback in the meantime
+      setTimeout(() => {
+        const current = parties.get(partyCode);
+        if (!current || current.playback.playing || current.playback.updatedAt !== timestamp) return;
+        const now = Date.now();
+        current.playback.playing = true;
+        current.playback.updatedAt = now;
+        broadcastPlayback(partyCode, 'play', now);
+      }, VOTE_PAUSE_DURATION);
+      break;
+
+    case 'rewind':
+      party.playback.position = Math.max(0, getPlaybackPosition(party.playback, timestamp) - VOTE_REWIND_SECONDS);
+      party.playback.updatedAt = timestamp;
+      delete party.playback.startAt;
+      broadcastPlayback(partyCode, 'seek', timestamp);
+      break;
+  }
+}
+
+// A ready check as sent to clients
+function getReadyCheckView(party, check, status = 'open', details = {}) {
+  let readyCount = 0;
+  party.participants.forEach((client, clientId) => {
+    if (!client.disconnectedAt && check.ready[clientId]) readyCount++;
+  });
+  return {
+    id: check.id,
+    position: check.position,
+    startedBy: check.startedBy,
+    startedById: check.startedById,
+    readyCount,
+    total: countVoters(party),
+    status,
+    ...details
+  };
+}
+
+// End the party's ready check with the given status ('started', 'cancelled' or 'expired')
+function endReadyCheck(partyCode, checkId, status, details = {}, timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  const check = party && party.readyCheck;
+  if (!check || check.id !== checkId) return;
+
+  const view = getReadyCheckView(party, check, status, details);
+  party.readyCheck = null;
+  broadcastToAllInParty(partyCode, { type: 'ready-check', readyCheck: view, timestamp });
+  broadcastParticipants(partyCode, timestamp);
+  log.info(`Ready check in party ${partyCode} ${status}`);
+}
+
+// Start the countdown once every connected participant is ready; playback starts
+// for everyone at the same server time
+function resolveReadyCheck(partyCode, timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  const check = party && party.readyCheck;
+  if (!check) return;
+
+  const view = getReadyCheckView(party, check);
+  if (view.total === 0 || view.readyCount < view.total) {
+    broadcastToAllInParty(partyCode, { type: 'ready-check', readyCheck: view, timestamp });
+    broadcastParticipants(partyCode, timestamp);
+    return;
+  }
+
+  const startAt = timestamp + COUNTDOWN_SECONDS * 1000;
+  party.playback = {
+    playing: true,
+    position: check.position,
+    playbackRate: party.playback.playbackRate,
+    updatedAt: timestamp,
+    startAt
+  };
+  party.lastActivity = timestamp;
+  persistParty(partyCode);
+  endReadyCheck(partyCode, check.id, 'started', { startAt, seconds: COUNTDOWN_SECONDS }, timestamp);
+}
+
+// Names of the connected participants the party's settings say to wait for:
+// those buffering (with autoWait) and those watching an ad (with waitForAds)
+function getWaitingParticipants(party) {
+  const names = [];
   party.participants.forEach((client) => {
-    if (client.ws.readyState === WebSocket.OPEN) {
-      client.ws.send(JSON.stringify(message));
+    if (client.disconnectedAt) return;
+    if ((party.settings.autoWait && client.buffering) || (party.settings.waitForAds && client.inAd)) {
+      names.push(client.username);
     }
   });
+  return names;
 }
 
-// Get list of available parties (non-empty, visible to new joiners)
-function getAvailableParties() {
+// Pause the party while anyone it waits for is buffering or in an ad, and resume
+// from the paused position once nobody is. Only pauses made here are resumed here.
+function updateAutoWait(partyCode, timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  if (!party) return;
+
+  const waitingFor = getWaitingParticipants(party);
+  if (waitingFor.length > 0 && !party.autoPaused && party.playback.playing) {
+    party.autoPaused = true;
+    freezePlayback(party.playback, timestamp);
+    broadcastPlayback(partyCode, 'pause', timestamp, AUTO_WAIT_USERNAME);
+    log.info(`Party ${partyCode} paused to wait for ${waitingFor.join(', ')}`);
+  } else if (waitingFor.length === 0 && party.autoPaused) {
+    party.autoPaused = false;
+    party.playback.playing = true;
+    party.playback.updatedAt = timestamp;
+    broadcastPlayback(partyCode, 'play', timestamp, AUTO_WAIT_USERNAME);
+    log.info(`Party ${partyCode} resumed after waiting`);
+  }
+}
+
+// Most participants a party can hold: its creator's choice, capped by the server's limit
+function getCapacity(party) {
+  const limits = [party.maxParticipants, MAX_PARTICIPANTS].filter(limit => limit > 0);
+  return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+// Check whether a party has reached its participant limit
+function isPartyFull(party) {
+  const capacity = getCapacity(party);
+  return !!capacity && party.participants.size >= capacity;
+}
+
+// Get list of available parties: non-empty public ones matching the filters, largest first.
+// `search` matches the name, description, tags, video title or code; every tag in `tags` must match.
+function getAvailableParties(filters = {}) {
+  const search = (filters.search || '').trim().toLowerCase();
+  const tags = normalizeTags(filters.tags);
   const result = [];
   for (const [code, party] of parties.entries()) {
-    if (party.participants.size === 0) continue;
+    if (party.participants.size === 0 || party.visibility !== 'public') continue;
+    if (filters.open && party.passwordHash) continue;
+    if (filters.available && isPartyFull(party)) continue;
+    if (filters.persistent && !party.persistent) continue;
+    if (!tags.every(tag => party.tags.includes(tag))) continue;
+
+    const videoTitle = party.video ? party.video.title : null;
+    if (search) {
+      const texts = [code, party.name, party.description, videoTitle, ...party.tags];
+      if (!texts.some(text => text && text.toLowerCase().includes(search))) continue;
+    }
+
     result.push({
       partyCode: code,
+      name: party.name,
+      description: party.description,
+      tags: party.tags,
       participantCount: party.participants.size,
+      maxParticipants: getCapacity(party),
       hasPassword: !!party.passwordHash,
       persistent: party.persistent,
-      videoTitle: party.video ? party.video.title : null
+      videoTitle
     });
   }
-  return result;
+  return result
+    .sort((a, b) => b.participantCount - a.participantCount)
+    .slice(0, MAX_LISTED_PARTIES);
 }
 
 // Get list of participants in a party with sync status
@@ -72,11 +1068,169 @@ function getParticipantList(partyCode) {
   const party = parties.get(partyCode);
   if (!party) return [];
   const partyVideoUrl = party.video ? party.video.url : null;
-  return Array.from(party.participants.values()).map(client => ({
-    username: client.username,
-    videoUrl: client.videoUrl || null,
-    synced: partyVideoUrl ? (client.videoUrl === partyVideoUrl) : false
-  }));
+  return Array.from(party.participants.entries())
+    .sort((a, b) => a[1].joinedAt - b[1].joinedAt)
+    .map(([clientId, client]) => ({
+      id: clientId,
+      username: client.username,
+      isHost: clientId === party.hostId,
+      videoUrl: client.videoUrl || null,
+      latency: typeof client.latency === 'number' ? client.latency : null,
+      away: !!client.disconnectedAt,
+      ready: party.readyCheck ? !!party.readyCheck.ready[clientId] : null,
+      buffering: !!client.buffering && !client.disconnectedAt,
+      inAd: !!client.inAd && !client.disconnectedAt,
+      synced: partyVideoUrl ? (client.videoUrl === partyVideoUrl) : false
+    }));
+}
+
+// Send the current participant list (with host) to this instance's participants
+function deliverParticipants(partyCode, timestamp = Date.now()) {
+  const party = parties.get(partyCode);
+  if (!party) return;
+
+  deliverLocally(partyCode, {
+    type: 'participants',
+    participants: getParticipantList(partyCode),
+    hostId: party.hostId,
+    timestamp
+  });
+}
+
+// Broadcast the current participant list (with host) to everyone in a party.
+// Other instances rebuild the list from the published party state.
+function broadcastParticipants(partyCode, timestamp = Date.now()) {
+  publishParty(partyCode);
+  deliverParticipants(partyCode, timestamp);
+}
+
+// The participant who has been in the party longest, optionally only among those still connected
+function longestPresent(party, connectedOnly) {
+  let longestId = null;
+  let earliest = Infinity;
+  party.participants.forEach((client, clientId) => {
+    if (connectedOnly && client.disconnectedAt) return;
+    if (client.joinedAt < earliest) {
+      earliest = client.joinedAt;
+      longestId = clientId;
+    }
+  });
+  return longestId;
+}
+
+// If the host has left or lost their connection, hand the role to the longest-present
+// participant who is still connected. A host who only lost their connection keeps the role
+// while nobody else is connected, and is remembered so they get it back on resume.
+function ensureHost(partyCode) {
+  const party = parties.get(partyCode);
+  if (!party) return;
+  const host = party.participants.get(party.hostId);
+  if (host && !host.disconnectedAt) return;
+
+  const nextHostId = longestPresent(party, true) || (host ? null : longestPresent(party, false));
+  if (host && !nextHostId) return;
+
+  // Keep the first claim if the stand-in host drops out too
+  if (host && !party.previousHostId) party.previousHostId = party.hostId;
+  party.hostId = nextHostId;
+  if (nextHostId) {
+    log.info(`Host of party ${partyCode} passed to ${party.participants.get(nextHostId).username}`);
+  }
+}
+
+// Remove a participant from a party, passing on the host role if needed.
+// `reason` is recorded in the party's event log.
+function removeParticipant(partyCode, clientId, reason = 'left') {
+  const party = parties.get(partyCode);
+  if (!party) return;
+
+  const client = party.participants.get(clientId);
+  if (client) {
+    logPartyEvent(partyCode, 'leave', { clientId, username: client.username, reason });
+  }
+  party.participants.delete(clientId);
+  if (party.previousHostId === clientId) party.previousHostId = null;
+  ensureHost(partyCode);
+  // The ready check or auto-wait may only have been waiting for them
+  if (party.readyCheck) resolveReadyCheck(partyCode);
+  updateAutoWait(partyCode);
+
+  broadcastParticipants(partyCode);
+  cleanupEmptyParty(partyCode);
+}
+
+// Keep a participant whose connection dropped in the party for a grace period so they can
+// resume their session; they are removed if they have not come back by then
+function suspendParticipant(partyCode, clientId, ws) {
+  const party = parties.get(partyCode);
+  const client = party && party.participants.get(clientId);
+  // Ignore sockets that were already replaced by a resumed session
+  if (!client || client.ws !== ws) return;
+
+  const disconnectedAt = Date.now();
+  client.ws = null;
+  client.disconnectedAt = disconnectedAt;
+  client.buffering = false;
+  client.inAd = false;
+  logPartyEvent(partyCode, 'disconnect', { clientId, username: client.username }, disconnectedAt);
+  // Someone still watching takes over as host rather than the party waiting out the grace period
+  ensureHost(partyCode);
+  // Participants who are away do not hold up a ready check or auto-wait
+  if (party.readyCheck) resolveReadyCheck(partyCode, disconnectedAt);
+  updateAutoWait(partyCode, disconnectedAt);
+  broadcastParticipants(partyCode, disconnectedAt);
+
+  setTimeout(() => {
+    const current = parties.get(partyCode);
+    const stillAway = current && current.participants.get(clientId);
+    if (stillAway && stillAway.instanceId === INSTANCE_ID && stillAway.disconnectedAt === disconnectedAt) {
+      log.info(`${stillAway.username} did not return to party ${partyCode}`);
+      removeParticipant(partyCode, clientId, 'timed-out');
+    }
+  }, RESUME_GRACE_PERIOD);
+}
+
+// Remove a participant on the host's behalf and tell them why, wherever they are connected
+function evictParticipant(partyCode, clientId, notice) {
+  const party = parties.get(partyCode);
+  const client = party && party.participants.get(clientId);
+  if (!client) return;
+
+  if (client.instanceId !== INSTANCE_ID) {
+    bus.publish({ kind: 'evict', partyCode, clientId, notice });
+    return;
+  }
+
+  if (notice.banned) banParticipant(partyCode, client);
+  if (client.ws && client.ws.readyState === WebSocket.OPEN) {
+    client.ws.send(JSON.stringify(notice));
+  }
+  removeParticipant(partyCode, clientId, notice.banned ? 'banned' : 'kicked');
+}
+
+// Keep a participant connected here out of the party: by their device id, and by their
+// address unless others in the party share it (behind the same NAT, or an untrusted proxy)
+function banParticipant(partyCode, client) {
+  const party = parties.get(partyCode);
+  if (client.deviceId) party.bannedDevices.add(client.deviceId);
+
+  let sharedAddress = false;
+  party.participants.forEach((other) => {
+    if (other !== client && other.instanceId === INSTANCE_ID && other.ip === client.ip) sharedAddress = true;
+  });
+  if (sharedAddress) {
+    log.warn(`Not banning address ${client.ip} in party ${partyCode}: other participants share it`);
+  } else {
+    party.banned.add(client.ip);
+  }
+
+  persistParty(partyCode);
+  publishParty(partyCode);
+}
+
+// Whether a banned address or device is trying to get (back) in
+function isBanned(party, ip, deviceId) {
+  return party.banned.has(ip) || (!!deviceId && party.bannedDevices.has(deviceId));
 }
 
 // Clean up empty parties
@@ -86,10 +1240,15 @@ function cleanupEmptyParty(partyCode) {
     // If party is persistent, update last activity but don't delete
     if (party.persistent) {
       party.lastActivity = Date.now();
-      console.log(`Persistent party ${partyCode} is now empty (last activity updated)`);
+      // Nobody is watching any more, so freeze the position where it is
+      freezePlayback(party.playback, party.lastActivity);
+      persistParty(partyCode);
+      log.info(`Persistent party ${partyCode} is now empty (last activity updated)`);
     } else {
       parties.delete(partyCode);
-      console.log(`Party ${partyCode} cleaned up (empty)`);
+      recentEvents.delete(partyCode);
+      eventLogs.delete(partyCode);
+      log.info(`Party ${partyCode} cleaned up (empty)`);
     }
   }
 }
@@ -97,162 +1256,576 @@ function cleanupEmptyParty(partyCode) {
 // Clean up idle persistent parties (runs periodically)
 function cleanupIdleParties() {
   const now = Date.now();
+  prunePasswordAttempts(now);
   for (const [partyCode, party] of parties.entries()) {
     if (party.persistent && party.participants.size === 0) {
       const idleTime = now - party.lastActivity;
-      if (idleTime > PARTY_IDLE_TIMEOUT) {
+      if (idleTime > getIdleTimeout(party)) {
         parties.delete(partyCode);
+        recentEvents.delete(partyCode);
+        eventLogs.delete(partyCode);
+        store.remove(partyCode);
         const idleHours = Math.round(idleTime / MS_TO_HOURS);
-        console.log(`Persistent party ${partyCode} cleaned up (idle for ${idleHours} hours)`);
+        log.info(`Persistent party ${partyCode} cleaned up (idle for ${idleHours} hours)`);
+      }
+    }
+  }
+}
+
+// Look for idle parties every CLEANUP_INTERVAL (an hour by default)
+setInterval(cleanupIdleParties, CLEANUP_INTERVAL);
+
+// Restore persistent parties and join the message bus before accepting any connections
+bus.subscribe(handleBusMessage);
+const serverReady = Promise.all([
+  restoreParties(),
+  bus.connect().then(() => bus.publish({ kind: 'hello' }))
+]);
+
+let ready = false;
+serverReady.then(() => {
+  ready = true;
+});
+
+// The address a connection comes from. Each trusted proxy appends the address it was
+// connected from to X-Forwarded-For, so the client is that many entries from the end
+// (counting the socket's own address); anything further left could be forged.
+function getClientIp(req) {
+  const chain = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  chain.push(req.socket.remoteAddress);
+  return chain[Math.max(0, chain.length - 1 - TRUST_PROXY_HOPS)];
+}
+
+// Read the certificate and key named by TLS_CERT and TLS_KEY
+function readTlsFiles() {
+  return {
+    cert: fs.readFileSync(TLS_CERT),
+    key: fs.readFileSync(TLS_KEY)
+  };
+}
+
+// Swap in renewed certificates; open connections keep the ones they started with
+function reloadCertificates() {
+  if (!TLS_CERT) {
+    log.info('SIGHUP received, but TLS is not enabled: nothing to reload');
+    return;
+  }
+  try {
+    server.setSecureContext(readTlsFiles());
+    log.info('TLS certificates reloaded');
+  } catch (error) {
+    log.error('Could not reload TLS certificates, keeping the current ones:', error.message);
+    errorsTotal.inc({ kind: 'tls' });
+  }
+}
+
+// Serve health checks and metrics on the same port as the WebSocket server
+function handleHttpRequest(req, res) {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+
+  switch (pathname) {
+    case '/healthz':
+      res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: ready ? 'ok' : 'starting',
+        uptime: Math.round(process.uptime()),
+        connections: wss.clients.size,
+        parties: parties.size
+      }));
+      break;
+
+    case '/metrics':
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(metrics.render());
+      break;
+
+    case WS_PATH:
+      res.writeHead(426, { 'Content-Type': 'text/plain', 'Upgrade': 'websocket' });
+      res.end('WebSocket connections only\n');
+      break;
+
+    default:
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+  }
+}
+
+// Create HTTP(S) server with the WebSocket server on top, holding handshakes until parties are restored
+const server = TLS_CERT
+  ? https.createServer(readTlsFiles(), handleHttpRequest)
+  : http.createServer(handleHttpRequest);
+const wss = new WebSocket.Server({
+  server,
+  // Without a path, upgrades on any path are accepted; with one, others are refused with a 400
+  path: WS_PATH || undefined,
+  // Hard cap well above the per-message limit; anything bigger closes the connection
+  maxPayload: MAX_MESSAGE_SIZE * 4,
+  verifyClient: (info, done) => {
+    serverReady.then(() => done(true));
+  }
+});
+
+server.listen(PORT, () => {
+  log.info(`WebSocket server running on ${TLS_CERT ? 'wss' : 'ws'}://localhost:${PORT}${WS_PATH || ''} (health: /healthz, metrics: /metrics)`);
+});
+
+wss.on('connection', (ws, req) => {
+  let clientId = uuidv4();
+  let currentPartyCode = null;
+  let username = null;
+  let deviceId = null; // Random id the extension keeps across sessions, so bans can follow the browser
+  const ip = getClientIp(req);
+  const limiter = new ConnectionLimiter();
+  ws.isAlive = true;
+
+  log.debug(`New connection: ${clientId}`);
+
+  // Heartbeat mechanism
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  // Report a message that could not be handled
+  function handleMessageError(error) {
+    log.error('Error processing message:', error);
+    errorsTotal.inc({ kind: 'message' });
+    sendError(ws, 'Could not process message', Date.now(), { code: 'internal-error' });
+  }
+
+  // Refuse a password attempt while this connection or its IP is locked out
+  function sendTooManyAttempts(lockout, timestamp) {
+    sendError(ws, 'Too many password attempts, try again later', timestamp, {
+      code: 'too-many-attempts',
+      retryAfter: Math.ceil(lockout / 1000)
+    });
+  }
+
+  // Create a new party with this client as host
+  function createParty(message, passwordHash, timestamp) {
+    // The connection may have gone away while the password was being hashed
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    // Someone may have taken the vanity code while the password was being hashed
+    const vanityCode = message.code ? message.code.toUpperCase() : null;
+    if (vanityCode && parties.has(vanityCode)) {
+      sendError(ws, 'That party code is already taken', timestamp, { code: 'code-taken' });
+      return;
+    }
+
+    const partyCode = vanityCode || generatePartyCode();
+    const persistent = message.persistent || false;
+    const resumeToken = generateResumeToken();
+    // Vanity codes are reserved for longer than the usual idle timeout
+    const idleTimeout = vanityCode
+      ? Math.min(message.reserveDays || VANITY_CODE_DAYS, MAX_VANITY_CODE_DAYS) * DAY
+      : null;
+
+    parties.set(partyCode, {
+      participants: new Map([[clientId, { ws, instanceId: INSTANCE_ID, username, videoUrl: null, ip, deviceId, joinedAt: timestamp, resumeTokenHash: hashToken(resumeToken) }]]),
+      hostId: clientId,
+      previousHostId: null,
+      banned: new Set(),
+      bannedDevices: new Set(),
+      video: null,
+      playback: createPlaybackState(timestamp),
+      chat: [],
+      reactions: [],
+      queue: [],
+      polls: [],
+      readyCheck: null,
+      settings: Object.assign({}, DEFAULT_PARTY_SETTINGS, { autoWait: !!message.autoWait, waitForAds: !!message.waitForAds }),
+      autoPaused: false,
+      passwordHash: passwordHash,
+      invites: [],
+      idleTimeout,
+      visibility: message.visibility || DEFAULT_VISIBILITY,
+      name: message.name || null,
+      description: message.description || null,
+      tags: normalizeTags(message.tags),
+      maxParticipants: message.maxParticipants ? Math.floor(message.maxParticipants) : null,
+      persistent: persistent,
+      createdAt: timestamp,
+      lastActivity: timestamp
+    });
+
+    currentPartyCode = partyCode;
+    logPartyEvent(partyCode, 'join', { clientId, username, created: true }, timestamp);
+    persistParty(partyCode);
+    publishParty(partyCode);
+
+    ws.send(JSON.stringify({
+      type: 'party-created',
+      partyCode,
+      clientId,
+      username,
+      hasPassword: !!passwordHash,
+      persistent: persistent,
+      visibility: parties.get(partyCode).visibility,
+      name: parties.get(partyCode).name,
+      settings: parties.get(partyCode).settings,
+      resumeToken,
+      timestamp
+    }));
+
+    log.info(`Party created: ${partyCode} by ${username}`);
+  }
+
+  // Add this client to a party once it has been allowed in
+  function joinParty(joinPartyCode, timestamp) {
+    // The party may have ended, or the client left, while the password was being checked
+    const joinedParty = parties.get(joinPartyCode);
+    if (!joinedParty) {
+      sendError(ws, 'Party not found', timestamp, { code: 'party-not-found' });
+      return;
+    }
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    // Remove from previous party if any
+    if (currentPartyCode && parties.has(currentPartyCode)) {
+      removeParticipant(currentPartyCode, clientId, 'switched');
+    }
+
+    // Add to new party
+    currentPartyCode = joinPartyCode;
+    const resumeToken = generateResumeToken();
+    joinedParty.participants.set(clientId, { ws, instanceId: INSTANCE_ID, username, videoUrl: null, ip, deviceId, joinedAt: timestamp, resumeTokenHash: hashToken(resumeToken) });
+    joinedParty.lastActivity = timestamp; // Update last activity time
+    logPartyEvent(joinPartyCode, 'join', { clientId, username }, timestamp);
+
+    // A persistent party that emptied out has no host, and a host who lost their
+    // connection may have nobody to stand in for them yet; the newcomer takes over
+    ensureHost(joinPartyCode);
+
+    persistParty(joinPartyCode);
+
+    // Send join confirmation to the client
+    ws.send(JSON.stringify({
+      type: 'joined',
+      partyCode: joinPartyCode,
+      clientId,
+      username,
+      participants: getParticipantList(joinPartyCode),
+      hostId: joinedParty.hostId,
+      video: joinedParty.video,
+      playback: joinedParty.playback,
+      chat: joinedParty.chat,
+      reactions: joinedParty.reactions,
+      queue: joinedParty.queue,
+      polls: joinedParty.polls.map(poll => getPollView(joinedParty, poll)),
+      readyCheck: joinedParty.readyCheck ? getReadyCheckView(joinedParty, joinedParty.readyCheck) : null,
+      settings: joinedParty.settings,
+      resumeToken,
+      timestamp
+    }));
+
+    // Broadcast updated participant list to all
+    broadcastParticipants(joinPartyCode, timestamp);
+
+    log.info(`${username} joined party ${joinPartyCode}`);
+  }
+
+  // Take over a session that dropped (or is about to) and catch up on what was missed
+  function resumeSession(message, timestamp) {
+    const party = parties.get(message.partyCode);
+    const tokenHash = hashToken(message.resumeToken);
+    let resumedId = null;
+    if (party) {
+      for (const [id, client] of party.participants.entries()) {
+        if (client.resumeTokenHash === tokenHash) resumedId = id;
       }
     }
-  }
-}
 
-// Run cleanup every hour
-setInterval(cleanupIdleParties, 60 * 60 * 1000);
+    if (!resumedId) {
+      sendError(ws, 'Your party session has expired', timestamp, { code: 'resume-failed' });
+      return;
+    }
+    if (isBanned(party, ip, message.deviceId)) {
+      sendError(ws, 'You are banned from this party', timestamp, { code: 'banned' });
+      return;
+    }
+
+    // Leave whatever this connection was doing before
+    if (currentPartyCode && currentPartyCode !== message.partyCode && parties.has(currentPartyCode)) {
+      removeParticipant(currentPartyCode, clientId, 'switched');
+    }
 
-// Create WebSocket server
-const wss = new WebSocket.Server({ port: PORT });
+    const client = party.participants.get(resumedId);
+    const previousWs = client.ws;
+    const since = typeof message.lastEventAt === 'number' ? message.lastEventAt : (client.disconnectedAt || timestamp);
 
-console.log(`WebSocket server running on port ${PORT}`);
+    log.info(`Connection ${clientId} resumed as ${resumedId}`);
+    clientId = resumedId;
+    currentPartyCode = message.partyCode;
+    username = client.username;
+    deviceId = message.deviceId || client.deviceId || null;
 
-wss.on('connection', (ws) => {
-  let clientId = uuidv4();
-  let currentPartyCode = null;
-  let username = null;
-  ws.isAlive = true;
+    client.ws = ws;
+    client.instanceId = INSTANCE_ID;
+    client.ip = ip;
+    client.deviceId = deviceId;
+    client.disconnectedAt = null;
+    const resumeToken = generateResumeToken();
+    client.resumeTokenHash = hashToken(resumeToken);
+    // A host who dropped out takes the role back from whoever stood in for them
+    if (party.previousHostId === clientId) {
+      party.hostId = clientId;
+      party.previousHostId = null;
+      log.info(`${username} took back host of party ${currentPartyCode}`);
+    }
+    party.lastActivity = timestamp;
+    logPartyEvent(currentPartyCode, 'resume', { clientId, username }, timestamp);
 
-  console.log(`New connection: ${clientId}`);
+    // The old connection may not have noticed it is dead yet
+    if (previousWs && previousWs !== ws) {
+      previousWs.terminate();
+    }
 
-  // Heartbeat mechanism
-  ws.on('pong', () => {
-    ws.isAlive = true;
-  });
+    ws.send(JSON.stringify({
+      type: 'resumed',
+      partyCode: currentPartyCode,
+      clientId,
+      username,
+      participants: getParticipantList(currentPartyCode),
+      hostId: party.hostId,
+      video: party.video,
+      playback: party.playback,
+      chat: party.chat,
+      reactions: party.reactions,
+      queue: party.queue,
+      polls: party.polls.map(poll => getPollView(party, poll)),
+      readyCheck: party.readyCheck ? getReadyCheckView(party, party.readyCheck) : null,
+      settings: party.settings,
+      resumeToken,
+      missed: getMissedEvents(currentPartyCode, clientId, since),
+      timestamp
+    }));
+
+    broadcastParticipants(currentPartyCode, timestamp);
+    log.info(`${username} resumed their session in party ${currentPartyCode}`);
+  }
+
+  // Refuse a message with a structured error code
+  function rejectMessage(error, timestamp) {
+    rejectedTotal.inc({ code: error.code });
+    const { message, ...details } = error;
+    sendError(ws, message, timestamp, details);
+  }
 
   ws.on('message', (data) => {
     try {
-      const message = JSON.parse(data.toString());
       const timestamp = Date.now();
+      const parsed = parseMessage(data, MAX_MESSAGE_SIZE);
+      if (parsed.error) {
+        rejectMessage(parsed.error, timestamp);
+        return;
+      }
 
-      switch (message.type) {
-        case 'create-party':
-          // Create a new party
-          const partyCode = generatePartyCode();
-          username = message.username || 'Anonymous';
-          const passwordHash = hashPassword(message.password);
-          const persistent = message.persistent || false;
-          
-          parties.set(partyCode, {
-            participants: new Map([[clientId, { ws, username, videoUrl: null }]]),
-            video: null,
-            passwordHash: passwordHash,
-            persistent: persistent,
-            createdAt: timestamp,
-            lastActivity: timestamp
+      // Rate limit before validating so floods of bad messages are throttled too
+      const limited = limiter.check(parsed.message.type, timestamp);
+      if (limited) {
+        rejectedTotal.inc({ code: 'rate-limited' });
+        if (limited.notify) {
+          sendError(ws, 'Too many messages, slow down', timestamp, {
+            code: 'rate-limited',
+            retryAfter: Math.ceil(limited.retryAfter / 1000)
           });
+        }
+        return;
+      }
 
-          currentPartyCode = partyCode;
+      const validated = validateMessage(parsed.message);
+      if (validated.error) {
+        rejectMessage(validated.error, timestamp);
+        return;
+      }
+
+      const message = validated.message;
+      const messageType = message.type;
+
+      // Drop a stale party reference if the host kicked or banned us
+      if (currentPartyCode && !(parties.has(currentPartyCode) && parties.get(currentPartyCode).participants.has(clientId))) {
+        currentPartyCode = null;
+      }
+
+      // Errors sent while handling this message go to the log of the party involved
+      ws.logContext = {
+        partyCode: currentPartyCode || (message.partyCode ? message.partyCode.toUpperCase() : null),
+        clientId,
+        username: message.username || username
+      };
+
+      switch (message.type) {
+        case 'hello':
+          // Version handshake, sent by clients as soon as they connect. Clients that
+          // predate it never send one and are served as protocol version 1.
+          if (message.version < MIN_PROTOCOL_VERSION || message.version > PROTOCOL_VERSION) {
+            sendError(ws, `Protocol version ${message.version} is not supported (this server speaks ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION})`, timestamp, {
+              code: 'incompatible-protocol',
+              version: PROTOCOL_VERSION,
+              minVersion: MIN_PROTOCOL_VERSION
+            });
+            ws.close(INCOMPATIBLE_PROTOCOL_CLOSE_CODE, 'Incompatible protocol version');
+            log.info(`Refused ${message.client || 'client'} ${clientId} speaking protocol ${message.version}`);
+            break;
+          }
 
+          log.info(`${message.client || 'Client'} ${clientId} speaks protocol ${message.version} with ${(message.capabilities || []).join(', ') || 'no capabilities'}`);
           ws.send(JSON.stringify({
-            type: 'party-created',
-            partyCode,
-            username,
-            hasPassword: !!passwordHash,
-            persistent: persistent,
+            type: 'hello',
+            version: PROTOCOL_VERSION,
+            minVersion: MIN_PROTOCOL_VERSION,
+            server: SERVER_VERSION,
+            features: SERVER_FEATURES,
+            limits: Object.assign({}, LIMITS, {
+              messageSize: MAX_MESSAGE_SIZE,
+              partyCapacity: MAX_PARTICIPANTS > 0 ? Math.min(LIMITS.partyCapacity, MAX_PARTICIPANTS) : LIMITS.partyCapacity,
+              partyCodeLength: PARTY_CODE_LENGTH,
+              chatHistory: MAX_CHAT_HISTORY,
+              queueLength: MAX_QUEUE_LENGTH,
+              openPolls: MAX_OPEN_POLLS,
+              vanityCodeDays: MAX_VANITY_CODE_DAYS
+            }),
             timestamp
           }));
+          break;
+
+        case 'create-party':
+          if (MAX_PARTIES > 0 && parties.size >= MAX_PARTIES) {
+            sendError(ws, 'This server has reached its party limit, try again later', timestamp, { code: 'server-full' });
+            break;
+          }
+          if (message.persistent && !config.allowPersistentParties) {
+            sendError(ws, 'This server does not allow persistent parties', timestamp, { code: 'persistent-not-allowed' });
+            break;
+          }
+          if (!message.password && !config.allowPasswordlessParties) {
+            sendError(ws, 'This server requires a password for new parties', timestamp, { code: 'password-required' });
+            break;
+          }
+
+          // Vanity codes are for persistent parties, which outlive their participants
+          if (message.code) {
+            if (!message.persistent) {
+              sendError(ws, 'Custom party codes are only available for persistent parties', timestamp, { code: 'invalid-code' });
+              break;
+            }
+            if (!VANITY_CODE_PATTERN.test(message.code.toUpperCase())) {
+              sendError(ws, `Party codes must be ${MIN_PARTY_CODE_LENGTH}-${MAX_PARTY_CODE_LENGTH} letters or digits`, timestamp, { code: 'invalid-code' });
+              break;
+            }
+            if (parties.has(message.code.toUpperCase())) {
+              sendError(ws, 'That party code is already taken', timestamp, { code: 'code-taken' });
+              break;
+            }
+          }
 
-          console.log(`Party created: ${partyCode} by ${username}`);
+          // Hashing is deliberately slow, so create the party once it is done
+          username = message.username || 'Anonymous';
+          deviceId = message.deviceId || null;
+          hashPassword(message.password)
+            .then((passwordHash) => createParty(message, passwordHash, Date.now()))
+            .catch(handleMessageError);
           break;
 
-        case 'join':
+        case 'join': {
           // Join an existing party
-          const joinPartyCode = message.partyCode;
+          const joinPartyCode = message.partyCode.toUpperCase();
           username = message.username || 'Anonymous';
+          deviceId = message.deviceId || null;
 
-          if (!parties.has(joinPartyCode)) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              message: 'Party not found',
-              timestamp
-            }));
+          const party = parties.get(joinPartyCode);
+          if (!party) {
+            sendError(ws, 'Party not found', timestamp, { code: 'party-not-found' });
             break;
           }
 
-          // Check password if party is password-protected
-          const party = parties.get(joinPartyCode);
-          if (!party) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              message: 'Party not found',
-              timestamp
-            }));
+          if (isBanned(party, ip, deviceId)) {
+            sendError(ws, 'You are banned from this party', timestamp, { code: 'banned' });
             break;
           }
-          
-          if (party.passwordHash) {
-            const providedPasswordHash = hashPassword(message.password);
-            if (providedPasswordHash !== party.passwordHash) {
-              ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Incorrect password',
-                timestamp
-              }));
+
+          if (isPartyFull(party)) {
+            sendError(ws, 'This party is full', timestamp, { code: 'party-full' });
+            break;
+          }
+
+          // Private parties without a password can only be joined with an invite
+          const inviteOnly = party.visibility === 'private' && !party.passwordHash;
+          if (!party.passwordHash && !inviteOnly) {
+            joinParty(joinPartyCode, timestamp);
+            break;
+          }
+
+          // A one-time invite stands in for the password
+          if (message.inviteToken) {
+            if (!consumeInvite(party, message.inviteToken, timestamp)) {
+              sendError(ws, 'This invite is invalid, expired or already used', timestamp, { code: 'invalid-invite' });
               break;
             }
+            persistParty(joinPartyCode);
+            publishParty(joinPartyCode);
+            joinParty(joinPartyCode, timestamp);
+            break;
           }
 
-          // Remove from previous party if any
-          if (currentPartyCode && parties.has(currentPartyCode)) {
-            parties.get(currentPartyCode).participants.delete(clientId);
-            broadcastToAllInParty(currentPartyCode, {
-              type: 'participants',
-              participants: getParticipantList(currentPartyCode),
-              timestamp
-            });
-            cleanupEmptyParty(currentPartyCode);
+          if (inviteOnly) {
+            sendError(ws, 'This party is invite-only', timestamp, { code: 'invite-required' });
+            break;
           }
 
-          // Add to new party
-          currentPartyCode = joinPartyCode;
-          const joinedParty = parties.get(joinPartyCode);
-          joinedParty.participants.set(clientId, { ws, username, videoUrl: null });
-          joinedParty.lastActivity = timestamp; // Update last activity time
+          // Check password if party is password-protected, refusing locked-out clients outright
+          const lockout = reservePasswordAttempt(joinPartyCode, ip, clientId, timestamp);
+          if (lockout > 0) {
+            sendTooManyAttempts(lockout, timestamp);
+            break;
+          }
 
-          // Send join confirmation to the client
-          ws.send(JSON.stringify({
-            type: 'joined',
-            partyCode: joinPartyCode,
-            username,
-            participants: getParticipantList(joinPartyCode),
-            video: joinedParty.video,
-            timestamp
-          }));
+          verifyPassword(message.password, party.passwordHash)
+            .then((valid) => {
+              const now = Date.now();
+              if (!valid) {
+                recordFailedPassword(joinPartyCode, ip, clientId, now);
+                sendError(ws, 'Incorrect password', now, { code: 'incorrect-password' });
+                return;
+              }
 
-          // Broadcast updated participant list to all
-          broadcastToAllInParty(joinPartyCode, {
-            type: 'participants',
-            participants: getParticipantList(joinPartyCode),
-            timestamp
-          });
+              // Wrong guesses checked alongside this one may have locked the party since
+              const lockedFor = getPasswordLockout(joinPartyCode, ip, clientId, now);
+              if (lockedFor > 0) {
+                sendTooManyAttempts(lockedFor, now);
+                return;
+              }
 
-          console.log(`${username} joined party ${joinPartyCode}`);
+              clearFailedPasswords(joinPartyCode, ip, clientId);
+
+              // Upgrade hashes from older server versions now that we know the password
+              if (needsRehash(party.passwordHash)) {
+                hashPassword(message.password).then((passwordHash) => {
+                  party.passwordHash = passwordHash;
+                  persistParty(joinPartyCode);
+                  publishParty(joinPartyCode);
+                }).catch(handleMessageError);
+              }
+
+              joinParty(joinPartyCode, Date.now());
+            })
+            .catch(handleMessageError);
+          break;
+        }
+
+        case 'resume':
+          // Rejoin the party after a reconnect with the same identity
+          resumeSession(message, timestamp);
           break;
 
         case 'leave':
           // Leave current party
           if (currentPartyCode && parties.has(currentPartyCode)) {
-            parties.get(currentPartyCode).participants.delete(clientId);
-            
-            broadcastToAllInParty(currentPartyCode, {
-              type: 'participants',
-              participants: getParticipantList(currentPartyCode),
-              timestamp
-            });
-
-            cleanupEmptyParty(currentPartyCode);
-            console.log(`${username} left party ${currentPartyCode}`);
+            removeParticipant(currentPartyCode, clientId);
+            log.info(`${username} left party ${currentPartyCode}`);
             currentPartyCode = null;
           }
 
@@ -262,17 +1835,43 @@ wss.on('connection', (ws) => {
           }));
           break;
 
-        case 'sync':
+        case 'sync': {
           // Relay sync events to other participants
           if (!currentPartyCode) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              message: 'Not in a party',
-              timestamp
-            }));
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+
+          // Position beacons drive drift correction and only the host is the reference
+          if (message.action === 'beacon' && parties.get(currentPartyCode).hostId !== clientId) {
             break;
           }
 
+          // Prefer the sender's clock-corrected send time when it is plausible
+          const sentAt = message.data && message.data.sentAt;
+          const eventTime = typeof sentAt === 'number' && sentAt <= timestamp && timestamp - sentAt < MAX_SYNC_TRANSIT
+            ? sentAt
+            : timestamp;
+          updatePlaybackState(parties.get(currentPartyCode), message.action, message.data, eventTime);
+          logPartyEvent(currentPartyCode, 'sync', {
+            clientId,
+            username,
+            action: message.action,
+            data: message.data,
+            partyPosition: getPlaybackPosition(parties.get(currentPartyCode).playback, timestamp)
+          }, timestamp);
+          // Beacons arrive every few seconds from the host; other instances follow them from
+          // the relayed broadcast, so only real playback changes are stored and published
+          if (message.action !== 'beacon') {
+            // Someone took over playback, so auto-wait no longer resumes it
+            parties.get(currentPartyCode).autoPaused = false;
+            persistParty(currentPartyCode);
+            publishParty(currentPartyCode);
+          }
+
+          syncRelaysTotal.inc();
+          syncRate.mark(timestamp);
+
           broadcastToParty(currentPartyCode, {
             type: 'sync',
             action: message.action,
@@ -281,8 +1880,11 @@ wss.on('connection', (ws) => {
             timestamp
           }, clientId);
 
-          console.log(`Sync event (${message.action}) from ${username} in party ${currentPartyCode}`);
+          if (message.action !== 'beacon') {
+            log.debug(`Sync event (${message.action}) from ${username} in party ${currentPartyCode}`);
+          }
           break;
+        }
 
         case 'video-info':
           // Update video information for the party
@@ -290,7 +1892,21 @@ wss.on('connection', (ws) => {
             const party = parties.get(currentPartyCode);
             const previousUrl = party.video ? party.video.url : null;
             const newUrl = message.data.url || null;
-            party.video = message.data;
+            const { currentTime, playing, playbackRate, ...video } = message.data;
+            party.video = video;
+
+            // A different video plays on from where the sender is, with an empty reaction timeline
+            if (newUrl && newUrl !== previousUrl) {
+              party.playback = {
+                playing: playing || false,
+                position: currentTime || 0,
+                playbackRate: playbackRate || 1,
+                updatedAt: timestamp
+              };
+              party.reactions = [];
+              logPartyEvent(currentPartyCode, 'video', { clientId, username, url: newUrl, title: message.data.title || null, duration: message.data.duration || null }, timestamp);
+            }
+            persistParty(currentPartyCode);
             
             // Update this participant's video URL
             const participant = party.participants.get(clientId);
@@ -302,7 +1918,8 @@ wss.on('connection', (ws) => {
             if (newUrl && newUrl !== previousUrl) {
               broadcastToParty(currentPartyCode, {
                 type: 'video-changed',
-                data: message.data,
+                data: party.video,
+                playback: party.playback,
                 username: username,
                 timestamp
               }, clientId);
@@ -311,24 +1928,443 @@ wss.on('connection', (ws) => {
             // Broadcast video info to other participants (sender already has this info)
             broadcastToParty(currentPartyCode, {
               type: 'video-info',
-              data: message.data,
+              data: party.video,
               username: username,
               timestamp
             }, clientId);
 
             // Broadcast updated participant list with sync status to all (including sender)
-            broadcastToAllInParty(currentPartyCode, {
-              type: 'participants',
-              participants: getParticipantList(currentPartyCode),
-              timestamp
+            broadcastParticipants(currentPartyCode, timestamp);
+          }
+          break;
+
+        case 'transfer-host':
+        case 'kick':
+        case 'ban': {
+          // Host-only moderation actions targeting another participant
+          const hostParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          if (!hostParty) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+
+          if (hostParty.hostId !== clientId) {
+            sendError(ws, 'Only the host can do that', timestamp, { code: 'not-host' });
+            break;
+          }
+
+          const targetId = message.targetId;
+          const target = hostParty.participants.get(targetId);
+          if (!target || targetId === clientId) {
+            sendError(ws, 'Participant not found', timestamp, { code: 'participant-not-found' });
+            break;
+          }
+
+          if (message.type === 'transfer-host') {
+            hostParty.hostId = targetId;
+            // A deliberate handover settles who hosts; a dropped host no longer gets it back
+            hostParty.previousHostId = null;
+            broadcastParticipants(currentPartyCode, timestamp);
+            log.info(`${username} handed host of party ${currentPartyCode} to ${target.username}`);
+            break;
+          }
+
+          // The target's own instance records the ban, since only it knows their address
+          const banned = message.type === 'ban';
+          evictParticipant(currentPartyCode, targetId, {
+            type: 'kicked',
+            partyCode: currentPartyCode,
+            banned,
+            timestamp
+          });
+          log.info(`${target.username} was ${banned ? 'banned' : 'kicked'} from party ${currentPartyCode} by ${username}`);
+          break;
+        }
+
+        case 'chat': {
+          // Relay a chat message to everyone, including the sender, and keep it in the history
+          const chatParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          if (!chatParty) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+
+          const text = message.text.trim();
+          if (!text) break;
+
+          const entry = { id: uuidv4(), clientId, username, text, timestamp };
+          chatParty.chat.push(entry);
+          if (chatParty.chat.length > MAX_CHAT_HISTORY) {
+            chatParty.chat.splice(0, chatParty.chat.length - MAX_CHAT_HISTORY);
+          }
+          chatParty.lastActivity = timestamp;
+          persistParty(currentPartyCode);
+          publishParty(currentPartyCode);
+
+          broadcastToAllInParty(currentPartyCode, { type: 'chat', ...entry });
+          break;
+        }
+
+        case 'queue-add':
+        case 'queue-remove':
+        case 'queue-move':
+        case 'queue-next': {
+          // Edit the party's shared video queue
+          const queueParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          if (!queueParty) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+
+          if (message.type === 'queue-next') {
+            // Skipping ahead affects everyone, so only the host can do it directly
+            if (queueParty.hostId !== clientId) {
+              sendError(ws, 'Only the host can do that', timestamp, { code: 'not-host' });
+            } else if (!advanceQueue(currentPartyCode, username, timestamp)) {
+              sendError(ws, 'The queue is empty', timestamp, { code: 'queue-empty' });
+            }
+            break;
+          }
+
+          if (message.type === 'queue-add') {
+            if (queueParty.queue.length >= MAX_QUEUE_LENGTH) {
+              sendError(ws, 'The queue is full', timestamp, { code: 'queue-full' });
+              break;
+            }
+            queueParty.queue.push({
+              id: uuidv4(),
+              url: message.url,
+              title: message.title || message.url,
+              addedBy: username,
+              addedAt: timestamp
             });
+            log.info(`${username} queued ${message.url} in party ${currentPartyCode}`);
+          } else {
+            const index = queueParty.queue.findIndex(entry => entry.id === message.id);
+            if (index === -1) {
+              sendError(ws, 'Queue entry not found', timestamp, { code: 'queue-entry-not-found' });
+              break;
+            }
+            const [entry] = queueParty.queue.splice(index, 1);
+            if (message.type === 'queue-move') {
+              const target = Math.max(0, Math.min(queueParty.queue.length, Math.floor(message.index)));
+              queueParty.queue.splice(target, 0, entry);
+            }
+          }
+
+          queueParty.lastActivity = timestamp;
+          broadcastQueue(currentPartyCode, timestamp);
+          break;
+        }
+
+        case 'poll-create':
+        case 'poll-vote':
+        case 'poll-close': {
+          const pollParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          if (!pollParty) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+
+          if (message.type === 'poll-create') {
+            if (pollParty.polls.length >= MAX_OPEN_POLLS) {
+              sendError(ws, 'Too many polls are already open', timestamp, { code: 'too-many-polls' });
+              break;
+            }
+            if (message.kind === 'question' && !message.question) {
+              sendError(ws, 'Invalid poll-create message: question is required', timestamp, { code: 'invalid-message', field: 'question' });
+              break;
+            }
+            if (message.kind !== 'question' && pollParty.polls.some(poll => poll.kind === message.kind)) {
+              sendError(ws, 'That vote is already running', timestamp, { code: 'poll-exists' });
+              break;
+            }
+            if (message.kind === 'skip' && pollParty.queue.length === 0) {
+              sendError(ws, 'The queue is empty', timestamp, { code: 'queue-empty' });
+              break;
+            }
+
+            const poll = {
+              id: uuidv4(),
+              kind: message.kind,
+              question: message.kind === 'question' ? message.question : ACTION_POLLS[message.kind],
+              options: message.kind === 'question' ? (message.options || ['Yes', 'No']) : ['Yes', 'No'],
+              votes: {},
+              createdBy: username,
+              createdById: clientId,
+              createdAt: timestamp,
+              expiresAt: timestamp + POLL_DURATION
+            };
+            // Starting an action vote counts as voting for it
+            if (poll.kind !== 'question') {
+              poll.votes[clientId] = 0;
+            }
+            pollParty.polls.push(poll);
+            pollParty.lastActivity = timestamp;
+            log.info(`${username} started poll "${poll.question}" in party ${currentPartyCode}`);
+
+            const pollPartyCode = currentPartyCode;
+            setTimeout(() => closePoll(pollPartyCode, poll.id, 'expired'), POLL_DURATION);
+            resolvePoll(currentPartyCode, poll, timestamp);
+            break;
+          }
+
+          const poll = pollParty.polls.find(entry => entry.id === message.pollId);
+          if (!poll) {
+            sendError(ws, 'Poll not found', timestamp, { code: 'poll-not-found' });
+            break;
+          }
+
+          if (message.type === 'poll-close') {
+            // Only whoever started a poll, or the host, can end it early
+            if (poll.createdById !== clientId && pollParty.hostId !== clientId) {
+              sendError(ws, 'Only the host or the poll\'s creator can close it', timestamp, { code: 'not-host' });
+              break;
+            }
+            closePoll(currentPartyCode, poll.id, 'closed', timestamp);
+            break;
+          }
+
+          if (!Number.isInteger(message.option) || message.option >= poll.options.length) {
+            sendError(ws, 'Invalid poll-vote message: option is not one of the poll\'s options', timestamp, { code: 'invalid-message', field: 'option' });
+            break;
+          }
+          poll.votes[clientId] = message.option;
+          resolvePoll(currentPartyCode, poll, timestamp);
+          break;
+        }
+
+        case 'ready-check':
+        case 'ready':
+        case 'ready-check-cancel': {
+          const readyParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          if (!readyParty) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+
+          if (message.type === 'ready-check') {
+            if (readyParty.readyCheck) {
+              sendError(ws, 'A ready check is already running', timestamp, { code: 'ready-check-exists' });
+              break;
+            }
+
+            // Everyone gets ready at the requested position (default: where the party is now)
+            const position = typeof message.position === 'number'
+              ? message.position
+              : getPlaybackPosition(readyParty.playback, timestamp);
+            readyParty.playback = {
+              playing: false,
+              position,
+              playbackRate: readyParty.playback.playbackRate,
+              updatedAt: timestamp
+            };
+            readyParty.readyCheck = {
+              id: uuidv4(),
+              position,
+              startedBy: username,
+              startedById: clientId,
+              startedAt: timestamp,
+              ready: {}
+            };
+            readyParty.lastActivity = timestamp;
+            persistParty(currentPartyCode);
+            log.info(`${username} started a ready check in party ${currentPartyCode}`);
+
+            const readyPartyCode = currentPartyCode;
+            const checkId = readyParty.readyCheck.id;
+            setTimeout(() => endReadyCheck(readyPartyCode, checkId, 'expired'), READY_CHECK_TIMEOUT);
+            resolveReadyCheck(currentPartyCode, timestamp);
+            break;
+          }
+
+          const check = readyParty.readyCheck;
+          if (!check || check.id !== message.checkId) {
+            sendError(ws, 'No such ready check', timestamp, { code: 'ready-check-not-found' });
+            break;
+          }
+
+          if (message.type === 'ready-check-cancel') {
+            if (check.startedById !== clientId && readyParty.hostId !== clientId) {
+              sendError(ws, 'Only the host or whoever started the ready check can cancel it', timestamp, { code: 'not-host' });
+              break;
+            }
+            endReadyCheck(currentPartyCode, check.id, 'cancelled', {}, timestamp);
+            break;
+          }
+
+          if (message.ready) {
+            check.ready[clientId] = true;
+          } else {
+            delete check.ready[clientId];
+          }
+          resolveReadyCheck(currentPartyCode, timestamp);
+          break;
+        }
+
+        case 'buffering': {
+          // A participant's video stalled or recovered
+          const bufferingParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          const bufferingClient = bufferingParty && bufferingParty.participants.get(clientId);
+          if (!bufferingClient) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+          if (bufferingClient.buffering === message.buffering) break;
+
+          bufferingClient.buffering = message.buffering;
+          logPartyEvent(currentPartyCode, 'buffering', { clientId, username, buffering: message.buffering }, timestamp);
+          updateAutoWait(currentPartyCode, timestamp);
+          broadcastParticipants(currentPartyCode, timestamp);
+          break;
+        }
+
+        case 'ad': {
+          // A participant's ad break started or ended
+          const adParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          const adClient = adParty && adParty.participants.get(clientId);
+          if (!adClient) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+          if (!!adClient.inAd === message.inAd) break;
+
+          adClient.inAd = message.inAd;
+          logPartyEvent(currentPartyCode, 'ad', { clientId, username, inAd: message.inAd }, timestamp);
+          log.info(`${username} ${message.inAd ? 'started' : 'finished'} an ad in party ${currentPartyCode}`);
+          updateAutoWait(currentPartyCode, timestamp);
+          broadcastParticipants(currentPartyCode, timestamp);
+
+          // The party carried on (or is still waiting) without them, so bring them back in line
+          if (!message.inAd) {
+            ws.send(JSON.stringify(createPlaybackSync(adParty, adParty.playback.playing ? 'play' : 'pause', timestamp, AUTO_WAIT_USERNAME)));
+          }
+          break;
+        }
+
+        case 'party-settings': {
+          // Change party-wide policies (host only)
+          const settingsParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          if (!settingsParty) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+          if (settingsParty.hostId !== clientId) {
+            sendError(ws, 'Only the host can do that', timestamp, { code: 'not-host' });
+            break;
+          }
+
+          Object.assign(settingsParty.settings, message.settings);
+          logPartyEvent(currentPartyCode, 'settings', { clientId, username, settings: message.settings }, timestamp);
+          settingsParty.lastActivity = timestamp;
+          persistParty(currentPartyCode);
+          updateAutoWait(currentPartyCode, timestamp);
+          publishParty(currentPartyCode);
+          broadcastToAllInParty(currentPartyCode, { type: 'party-settings', settings: settingsParty.settings, timestamp });
+          log.info(`${username} changed the settings of party ${currentPartyCode}:`, message.settings);
+          break;
+        }
+
+        case 'create-invite': {
+          // Issue a one-time invite token for this party's invite link. Passwordless
+          // parties need no token (unless private), so the link carries just the party code.
+          const inviteParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          if (!inviteParty) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+
+          let invite = { token: null, expiresAt: null };
+          if (inviteParty.passwordHash || inviteParty.visibility === 'private') {
+            invite = createInvite(inviteParty, username, timestamp);
+            persistParty(currentPartyCode);
+            publishParty(currentPartyCode);
+            log.info(`${username} created an invite for party ${currentPartyCode}`);
+          }
+
+          ws.send(JSON.stringify({
+            type: 'invite',
+            partyCode: currentPartyCode,
+            token: invite.token,
+            expiresAt: invite.expiresAt,
+            timestamp
+          }));
+          break;
+        }
+
+        case 'video-ended':
+          // The current video finished; move on to the next queued one. Every
+          // participant reports the end, so only the first report for the party's
+          // current video counts.
+          if (currentPartyCode && parties.has(currentPartyCode)) {
+            const endedParty = parties.get(currentPartyCode);
+            if (endedParty.video && endedParty.video.url === message.url) {
+              advanceQueue(currentPartyCode, username, timestamp);
+            }
+          }
+          break;
+
+        case 'reaction': {
+          // Relay a reaction anchored to the sender's video position
+          const reactionParty = currentPartyCode ? parties.get(currentPartyCode) : null;
+          if (!reactionParty) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
           }
+
+          const reaction = {
+            type: 'reaction',
+            id: uuidv4(),
+            clientId,
+            username,
+            emoji: message.emoji,
+            position: message.position,
+            videoUrl: reactionParty.video ? reactionParty.video.url : null,
+            timestamp
+          };
+          rememberReaction(currentPartyCode, reaction);
+          broadcastToParty(currentPartyCode, reaction, clientId);
           break;
+        }
 
         case 'ping':
-          // Respond to ping
+          // Respond to ping with the timestamps the client needs to estimate
+          // its clock offset and round-trip time (NTP-style)
           ws.send(JSON.stringify({
             type: 'pong',
+            clientTime: message.timestamp,
+            serverReceivedAt: timestamp,
+            timestamp: Date.now()
+          }));
+
+          // Record the round-trip time the client measured on previous pings
+          if (currentPartyCode && typeof message.rtt === 'number' && message.rtt >= 0) {
+            const pingParty = parties.get(currentPartyCode);
+            const self = pingParty && pingParty.participants.get(clientId);
+            if (self) {
+              const latency = Math.round(message.rtt);
+              const previous = self.latency;
+              self.latency = latency;
+              if (typeof previous !== 'number' || Math.abs(previous - latency) >= LATENCY_REPORT_THRESHOLD) {
+                broadcastParticipants(currentPartyCode, timestamp);
+              }
+            }
+          }
+          break;
+
+        case 'get-event-log':
+          // Export the party's event log, for investigating sync problems
+          if (!currentPartyCode || !parties.has(currentPartyCode)) {
+            sendError(ws, 'Not in a party', timestamp, { code: 'not-in-party' });
+            break;
+          }
+
+          ws.send(JSON.stringify({
+            type: 'event-log',
+            partyCode: currentPartyCode,
+            server: SERVER_VERSION,
+            instanceId: INSTANCE_ID,
+            events: eventLogs.get(currentPartyCode) || [],
             timestamp
           }));
           break;
@@ -337,43 +2373,31 @@ wss.on('connection', (ws) => {
           // Return list of available parties
           ws.send(JSON.stringify({
             type: 'party-list',
-            parties: getAvailableParties(),
+            parties: getAvailableParties(message),
             timestamp
           }));
           break;
 
-        default:
-          console.log(`Unknown message type: ${message.type}`);
       }
+
+      messagesTotal.inc({ type: messageType });
     } catch (error) {
-      console.error('Error processing message:', error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Invalid message format',
-        timestamp: Date.now()
-      }));
+      handleMessageError(error);
     }
   });
 
   ws.on('close', () => {
-    console.log(`Connection closed: ${clientId}`);
+    log.debug(`Connection closed: ${clientId}`);
     
-    // Remove from party
-    if (currentPartyCode && parties.has(currentPartyCode)) {
-      parties.get(currentPartyCode).participants.delete(clientId);
-      
-      broadcastToAllInParty(currentPartyCode, {
-        type: 'participants',
-        participants: getParticipantList(currentPartyCode),
-        timestamp: Date.now()
-      });
-
-      cleanupEmptyParty(currentPartyCode);
+    // Keep our place in the party for a while in case the client reconnects
+    if (currentPartyCode && parties.has(currentPartyCode) && parties.get(currentPartyCode).participants.has(clientId)) {
+      suspendParticipant(currentPartyCode, clientId, ws);
     }
   });
 
   ws.on('error', (error) => {
-    console.error(`WebSocket error for ${clientId}:`, error);
+    log.error(`WebSocket error for ${clientId}:`, error);
+    errorsTotal.inc({ kind: 'socket' });
   });
 });
 
@@ -381,23 +2405,48 @@ wss.on('connection', (ws) => {
 const heartbeatInterval = setInterval(() => {
   wss.clients.forEach((ws) => {
     if (ws.isAlive === false) {
+      heartbeatTerminations.inc();
       return ws.terminate();
     }
 
     ws.isAlive = false;
     ws.ping();
   });
+
+  // Let the other instances know we are still here, and notice those that are not
+  bus.publish({ kind: 'alive' });
+  purgeSilentInstances();
 }, HEARTBEAT_INTERVAL);
 
 wss.on('close', () => {
   clearInterval(heartbeatInterval);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
+// Graceful shutdown (pm2 sends SIGINT on restart, Docker sends SIGTERM)
+function shutdown(signal) {
+  log.info(`${signal} signal received: closing HTTP server`);
+  server.close();
+  // The server only finishes closing once every connection has gone
+  wss.clients.forEach((client) => client.close(1001, 'Server shutting down'));
   wss.close(() => {
-    console.log('WebSocket server closed');
-    process.exit(0);
+    log.info('WebSocket server closed');
+
+    // Save where every persistent party got to before the process exits
+    const now = Date.now();
+    for (const [partyCode, party] of parties.entries()) {
+      if (!party.persistent) continue;
+      if (party.participants.size > 0) party.lastActivity = now;
+      freezePlayback(party.playback, now);
+      persistParty(partyCode);
+    }
+
+    bus.publish({ kind: 'goodbye' });
+    bus.close();
+    store.flush().then(() => process.exit(0));
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+// Certificate renewal tools (certbot deploy hooks, cert-manager) send SIGHUP
+process.on('SIGHUP', reloadCertificates);
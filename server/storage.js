@@ -0,0 +1,125 @@
+// Persistence backends for persistent parties
+// A store keeps one JSON-serializable record per party code and must provide:
+//   load()             -> Promise<Array<record>>  (called once on startup)
+//   save(code, record) -> store or replace a party record
+//   remove(code)       -> forget a party
+//   flush()            -> Promise that resolves once pending writes are on disk
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const FILE_WRITE_DELAY = 1000; // Batch writes so frequent sync updates don't hammer the disk
+
+// Keeps nothing across restarts (used when persistence is disabled)
+class MemoryStore {
+  async load() {
+    return [];
+  }
+
+  save() {}
+
+  remove() {}
+
+  async flush() {}
+}
+
+// Stores all party records in a single JSON file, rewritten atomically
+class FileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.records = new Map();
+    this.writeTimer = null;
+    this.writing = null;
+    this.readOnly = false;
+  }
+
+  async load() {
+    let records;
+    try {
+      const contents = await fs.promises.readFile(this.filePath, 'utf8');
+      records = JSON.parse(contents);
+      if (!Array.isArray(records)) throw new Error('expected a list of party records');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        await this.setAside(error);
+      }
+      return [];
+    }
+    for (const record of records) {
+      this.records.set(record.partyCode, record);
+    }
+    return Array.from(this.records.values());
+  }
+
+  // Move a store we could not read out of the way, so the next write doesn't replace it.
+  // If it can't be moved, stop writing rather than lose the parties it may still hold.
+  async setAside(error) {
+    const asidePath = `${this.filePath}.corrupt-${Date.now()}`;
+    try {
+      await fs.promises.rename(this.filePath, asidePath);
+      log.error(`Could not read party store ${this.filePath} (${error.message}); moved it to ${asidePath}`);
+    } catch (renameError) {
+      this.readOnly = true;
+      log.error(`Could not read party store ${this.filePath} (${error.message}) or move it aside (${renameError.message}); parties will not be saved`);
+    }
+  }
+
+  save(code, record) {
+    this.records.set(code, record);
+    this.scheduleWrite();
+  }
+
+  remove(code) {
+    if (this.records.delete(code)) {
+      this.scheduleWrite();
+    }
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer || this.readOnly) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.write();
+    }, FILE_WRITE_DELAY);
+  }
+
+  // Write to a temporary file and rename it so a crash never leaves a half-written store
+  write() {
+    const contents = JSON.stringify(Array.from(this.records.values()), null, 2);
+    const tmpPath = `${this.filePath}.tmp`;
+
+    this.writing = (this.writing || Promise.resolve())
+      .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+      .then(() => fs.promises.writeFile(tmpPath, contents))
+      .then(() => fs.promises.rename(tmpPath, this.filePath))
+      .catch((error) => {
+        log.error(`Could not write party store ${this.filePath}:`, error.message);
+      });
+    return this.writing;
+  }
+
+  async flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      await this.write();
+    } else if (this.writing) {
+      await this.writing;
+    }
+  }
+}
+
+// Create the store selected by configuration ('file' or 'memory')
+function createStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(options.filePath);
+    default:
+      throw new Error(`Unknown storage backend: ${type}`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, FileStore };
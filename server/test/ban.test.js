@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, createParty, joinParty } = require('./helpers');
+
+test('a ban follows the device, not a shared address', async (t) => {
+  const server = await startServer(t);
+
+  // Everyone here connects from the same address, like friends behind one router
+  const host = await createParty(t, server.url, { deviceId: 'host-device' });
+  const { partyCode } = host.reply;
+  const troll = await joinParty(t, server.url, partyCode, { username: 'Troll', deviceId: 'troll-device' });
+
+  const kicked = troll.next('kicked');
+  host.send({ type: 'ban', targetId: troll.reply.clientId });
+  assert.strictEqual((await kicked).banned, true);
+
+  // The banned device cannot come back, even on a new connection
+  const retry = await connect(server.url);
+  t.after(() => retry.close());
+  const refused = retry.next('error', 'joined');
+  retry.send({ type: 'join', partyCode, username: 'Troll', deviceId: 'troll-device' });
+  assert.strictEqual((await refused).code, 'banned');
+
+  // Others on the same address still can
+  await joinParty(t, server.url, partyCode, { username: 'Friend', deviceId: 'friend-device' });
+});
+
+test('a participant alone on their address is banned by address too', async (t) => {
+  const server = await startServer(t, { TRUST_PROXY_HOPS: '1' });
+  const from = address => ({ headers: { 'X-Forwarded-For': address } });
+
+  const host = await createParty(t, server.url, { deviceId: 'host-device' }, from('203.0.113.1'));
+  const { partyCode } = host.reply;
+  const guest = await joinParty(t, server.url, partyCode, { deviceId: 'guest-device' }, from('203.0.113.2'));
+
+  const kicked = guest.next('kicked');
+  host.send({ type: 'ban', targetId: guest.reply.clientId });
+  await kicked;
+
+  // A fresh device id does not get round the ban from the same address
+  const retry = await connect(server.url, from('203.0.113.2'));
+  t.after(() => retry.close());
+  const refused = retry.next('error', 'joined');
+  retry.send({ type: 'join', partyCode, username: 'Guest', deviceId: 'another-device' });
+  assert.strictEqual((await refused).code, 'banned');
+});
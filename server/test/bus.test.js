@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RedisBus, encodeCommand, parseReply } = require('../bus');
+const { setLogLevel } = require('../logger');
+const { waitFor, startFakeRedis } = require('./helpers');
+
+// The bus logs every reconnect; only failures matter here
+setLogLevel('error');
+
+test('parseReply waits for a reply split across chunks', () => {
+  const reply = Buffer.from(encodeCommand(['message', 'wparty', '{"kind":"party","note":"héllo"}']));
+  for (let end = 0; end < reply.length; end++) {
+    assert.strictEqual(parseReply(reply.subarray(0, end)), null, `no reply from the first ${end} bytes`);
+  }
+  assert.deepStrictEqual(parseReply(reply), {
+    value: ['message', 'wparty', '{"kind":"party","note":"héllo"}'],
+    offset: reply.length
+  });
+});
+
+test('parseReply reads nested arrays, nulls, numbers and error replies', () => {
+  const buffer = Buffer.from('*3\r\n*2\r\n:1\r\n$-1\r\n+OK\r\n-ERR wrong type\r\n');
+  const reply = parseReply(buffer);
+  assert.strictEqual(reply.value.length, 3);
+  assert.deepStrictEqual(reply.value[0], [1, null]);
+  assert.strictEqual(reply.value[1], 'OK');
+  assert.ok(reply.value[2] instanceof Error);
+  assert.strictEqual(reply.value[2].message, 'ERR wrong type');
+  assert.strictEqual(reply.offset, buffer.length);
+});
+
+test('parseReply throws on malformed replies', () => {
+  assert.throws(() => parseReply(Buffer.from('!oops\r\n')), /Invalid RESP reply prefix/);
+  assert.throws(() => parseReply(Buffer.from('$abc\r\nxyz\r\n')), /Invalid RESP length/);
+  assert.throws(() => parseReply(Buffer.from('*1\r\n?\r\n')), /Invalid RESP reply prefix/);
+});
+
+// Two buses on the stand-in Redis, with everything the second one receives
+async function connectPair(t) {
+  const redis = await startFakeRedis();
+  t.after(() => redis.stop());
+
+  const received = [];
+  const sender = new RedisBus('sender', { url: redis.url });
+  const receiver = new RedisBus('receiver', { url: redis.url });
+  t.after(() => {
+    sender.close();
+    receiver.close();
+  });
+  receiver.subscribe(message => received.push(message));
+  await sender.connect();
+  await receiver.connect();
+  await waitFor(() => redis.subscriberCount() === 2, 'both buses to subscribe');
+  return { redis, sender, receiver, received };
+}
+
+test('messages reach other instances but not the sender', async (t) => {
+  const { sender, received } = await connectPair(t);
+  const echoed = [];
+  sender.subscribe(message => echoed.push(message));
+
+  sender.publish({ kind: 'party', partyCode: 'ABC123' });
+  await waitFor(() => received.length === 1, 'the message to arrive');
+  assert.deepStrictEqual(received[0], { kind: 'party', partyCode: 'ABC123', source: 'sender' });
+  assert.strictEqual(echoed.length, 0);
+});
+
+test('a pushed message split across packets still arrives whole', async (t) => {
+  const { redis, received } = await connectPair(t);
+
+  const payload = JSON.stringify({ kind: 'party', partyCode: 'ABC123', source: 'elsewhere' });
+  await redis.send(encodeCommand(['message', 'wparty', payload]), 3);
+  await waitFor(() => received.length === 1, 'the fragmented message');
+  assert.strictEqual(received[0].partyCode, 'ABC123');
+});
+
+test('an error reply is logged without dropping the connection', async (t) => {
+  const { redis, sender, received } = await connectPair(t);
+  const accepted = redis.accepted();
+
+  await redis.send('-ERR something went wrong\r\n');
+  sender.publish({ kind: 'party', partyCode: 'ABC123' });
+  await waitFor(() => received.length === 1, 'the message after the error');
+  assert.strictEqual(redis.accepted(), accepted);
+});
+
+test('a malformed reply resets the connection instead of crashing', async (t) => {
+  const { redis, sender, received } = await connectPair(t);
+  const accepted = redis.accepted();
+
+  await redis.send('!not resp at all\r\n');
+  // Both buses drop their connections and come back with new ones
+  await waitFor(() => redis.accepted() >= accepted + 4 && redis.subscriberCount() === 2, 'the buses to reconnect');
+
+  sender.publish({ kind: 'party', partyCode: 'ABC123' });
+  await waitFor(() => received.length === 1, 'the message after reconnecting');
+  assert.strictEqual(received[0].partyCode, 'ABC123');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, createParty } = require('./helpers');
+
+test('hello is answered with the protocol version, features and limits', async (t) => {
+  const server = await startServer(t, { MAX_PARTICIPANTS: '8' });
+
+  const client = await connect(server.url);
+  t.after(() => client.close());
+  const reply = client.next('hello', 'error');
+  client.send({ type: 'hello', version: 1, capabilities: ['resume', 'chat'], client: 'test' });
+  const hello = await reply;
+  assert.strictEqual(hello.type, 'hello');
+  assert.strictEqual(hello.version, 1);
+  assert.ok(hello.minVersion <= hello.version);
+  assert.ok(hello.features.includes('resume'));
+  assert.strictEqual(hello.limits.partyCapacity, 8);
+  assert.strictEqual(hello.limits.chatHistory, 50);
+});
+
+test('a client speaking an unsupported protocol is refused and disconnected', async (t) => {
+  const server = await startServer(t);
+
+  const client = await connect(server.url);
+  t.after(() => client.close());
+  const refused = client.next('hello', 'error');
+  const closed = new Promise(resolve => client.ws.once('close', resolve));
+  client.send({ type: 'hello', version: 99 });
+  const error = await refused;
+  assert.strictEqual(error.code, 'incompatible-protocol');
+  assert.strictEqual(error.version, 1);
+  assert.strictEqual(error.minVersion, 1);
+  assert.strictEqual(await closed, 4001);
+});
+
+test('clients that never say hello are still served', async (t) => {
+  const server = await startServer(t);
+  const host = await createParty(t, server.url);
+  assert.ok(host.reply.partyCode);
+  assert.ok(!host.messages.some(message => message.type === 'hello'));
+});
@@ -0,0 +1,213 @@
+// Shared helpers for the server tests: run server.js in a child process and talk to it
+// over real WebSocket connections, with a stand-in Redis for the message bus
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const WebSocket = require('ws');
+const { encodeCommand, parseReply } = require('../bus');
+
+const START_TIMEOUT = 10000;
+const WAIT_INTERVAL = 20; // How often waitFor() checks its condition (ms)
+const WAIT_TIMEOUT = 10000;
+
+// Find a port nothing is listening on
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start a server with in-memory storage and the given extra environment, stopped when the
+// test `t` ends; resolves once it is accepting connections
+async function startServer(t, env = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: Object.assign({}, process.env, { PORT: String(port), STORAGE: 'memory', BUS: 'memory' }, env),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Server did not start:\n${output}`));
+    }, START_TIMEOUT);
+    const onData = (data) => {
+      output += data;
+      if (output.includes('WebSocket server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  const server = {
+    url: `ws://localhost:${port}`,
+    stop() {
+      if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+      return new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+      });
+    }
+  };
+  t.after(() => server.stop());
+  return server;
+}
+
+// Open a connection that records every message; `next(type)` waits for the next
+// message of that type
+function connect(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, options);
+    const messages = [];
+    const waiters = [];
+
+    ws.on('message', (data) => {
+      const message = JSON.parse(data);
+      messages.push(message);
+      for (let i = 0; i < waiters.length; i++) {
+        if (waiters[i].types.includes(message.type)) {
+          waiters.splice(i, 1)[0].resolve(message);
+          break;
+        }
+      }
+    });
+    ws.once('open', () => resolve({
+      ws,
+      messages,
+      send: (message) => ws.send(JSON.stringify(message)),
+      next: (...types) => new Promise((resolveNext) => waiters.push({ types, resolve: resolveNext })),
+      close: () => ws.close()
+    }));
+    ws.once('error', reject);
+  });
+}
+
+// Wait for the reply to a request, failing with the server's error if it refused
+async function expectReply(client, type, message) {
+  const reply = client.next(type, 'error');
+  client.send(message);
+  const result = await reply;
+  if (result.type === 'error') {
+    throw new Error(`Expected ${type} after ${message.type}, got ${result.code}: ${result.message}`);
+  }
+  return result;
+}
+
+// Connect and create a party with the extra `fields`. Resolves to the client, with the
+// `party-created` reply as `client.reply`; the connection closes when the test `t` ends.
+async function createParty(t, url, fields = {}, options = {}) {
+  const client = await connect(url, options);
+  t.after(() => client.close());
+  client.reply = await expectReply(client, 'party-created', Object.assign({ type: 'create-party', username: 'Host' }, fields));
+  return client;
+}
+
+// Connect and join `partyCode` with the extra `fields`, like createParty() but with the
+// `joined` reply as `client.reply`
+async function joinParty(t, url, partyCode, fields = {}, options = {}) {
+  const client = await connect(url, options);
+  t.after(() => client.close());
+  client.reply = await expectReply(client, 'joined', Object.assign({ type: 'join', partyCode, username: 'Guest' }, fields));
+  return client;
+}
+
+// Resolve once `condition()` is true, checking every few milliseconds
+function waitFor(condition, description = 'condition') {
+  const deadline = Date.now() + WAIT_TIMEOUT;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() > deadline) return reject(new Error(`Timed out waiting for ${description}`));
+      setTimeout(check, WAIT_INTERVAL);
+    };
+    check();
+  });
+}
+
+// A stand-in Redis that speaks just enough RESP for the bus (AUTH, SUBSCRIBE and PUBLISH).
+// It records everything published, and `send()` writes raw bytes to every subscribed
+// connection, optionally a few bytes at a time, to feed the bus fragmented or broken replies.
+function startFakeRedis() {
+  const clients = new Set();
+  const published = [];
+  let accepted = 0;
+
+  function handle(client, [name, ...args]) {
+    switch (String(name).toUpperCase()) {
+      case 'AUTH':
+        client.socket.write('+OK\r\n');
+        break;
+      case 'SUBSCRIBE':
+        client.channels.add(args[0]);
+        client.socket.write(`*3\r\n$9\r\nsubscribe\r\n$${Buffer.byteLength(args[0])}\r\n${args[0]}\r\n:1\r\n`);
+        break;
+      case 'PUBLISH': {
+        published.push({ channel: args[0], message: args[1] });
+        let receivers = 0;
+        clients.forEach((other) => {
+          if (!other.channels.has(args[0])) return;
+          other.socket.write(encodeCommand(['message', args[0], args[1]]));
+          receivers++;
+        });
+        client.socket.write(`:${receivers}\r\n`);
+        break;
+      }
+      default:
+        client.socket.write(`-ERR unknown command '${name}'\r\n`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    const client = { socket, buffer: Buffer.alloc(0), channels: new Set() };
+    accepted++;
+    clients.add(client);
+    socket.on('error', () => {});
+    socket.on('close', () => clients.delete(client));
+    socket.on('data', (data) => {
+      client.buffer = Buffer.concat([client.buffer, data]);
+      let command;
+      while ((command = parseReply(client.buffer))) {
+        client.buffer = client.buffer.subarray(command.offset);
+        handle(client, command.value);
+      }
+    });
+  });
+
+  const subscribers = () => Array.from(clients).filter(client => client.channels.size > 0);
+
+  return new Promise((resolve) => {
+    server.listen(0, () => resolve({
+      url: `redis://localhost:${server.address().port}`,
+      published,
+      accepted: () => accepted,
+      subscriberCount: () => subscribers().length,
+      async send(raw, chunkSize = Infinity) {
+        const bytes = Buffer.from(raw);
+        for (let start = 0; start < bytes.length; start += chunkSize) {
+          subscribers().forEach(client => client.socket.write(bytes.subarray(start, start + chunkSize)));
+          if (start + chunkSize < bytes.length) await new Promise(resolveChunk => setTimeout(resolveChunk, 5));
+        }
+      },
+      stop() {
+        clients.forEach(client => client.socket.destroy());
+        return new Promise(resolveStop => server.close(resolveStop));
+      }
+    }));
+  });
+}
+
+module.exports = { startServer, connect, createParty, joinParty, waitFor, startFakeRedis };
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, createParty, joinParty, waitFor } = require('./helpers');
+
+// Wait for a participant list, received from now on, naming `hostId` as host. Updates can
+// arrive together, so this looks through everything recorded rather than waiting on next()
+function hostBecomes(client, hostId) {
+  const since = client.messages.length;
+  return waitFor(
+    () => client.messages.slice(since).some(message => message.type === 'participants' && message.hostId === hostId),
+    `${hostId} to become host`
+  );
+}
+
+test('a dropped host hands over at once and takes the role back on resume', async (t) => {
+  const server = await startServer(t);
+
+  const host = await createParty(t, server.url);
+  const { partyCode, clientId: hostId, resumeToken } = host.reply;
+  const guest = await joinParty(t, server.url, partyCode);
+  const guestId = guest.reply.clientId;
+
+  // The guest stands in without waiting out the resume grace period
+  const handedOver = hostBecomes(guest, guestId);
+  host.close();
+  await handedOver;
+
+  const returning = await connect(server.url);
+  t.after(() => returning.close());
+  const resumed = returning.next('resumed', 'error');
+  const handedBack = hostBecomes(guest, hostId);
+  returning.send({ type: 'resume', partyCode, resumeToken });
+  assert.strictEqual((await resumed).hostId, hostId);
+  await handedBack;
+});
+
+test('a dropped host does not get the role back after it was handed on', async (t) => {
+  const server = await startServer(t);
+
+  const host = await createParty(t, server.url);
+  const { partyCode, resumeToken } = host.reply;
+  const first = await joinParty(t, server.url, partyCode, { username: 'First' });
+  const second = await joinParty(t, server.url, partyCode, { username: 'Second' });
+
+  const handedOver = hostBecomes(first, first.reply.clientId);
+  host.close();
+  await handedOver;
+
+  const transferred = hostBecomes(second, second.reply.clientId);
+  first.send({ type: 'transfer-host', targetId: second.reply.clientId });
+  await transferred;
+
+  const returning = await connect(server.url);
+  t.after(() => returning.close());
+  const resumed = returning.next('resumed', 'error');
+  returning.send({ type: 'resume', partyCode, resumeToken });
+  assert.strictEqual((await resumed).hostId, second.reply.clientId);
+});
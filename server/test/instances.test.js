@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, createParty, waitFor, startFakeRedis } = require('./helpers');
+
+// Two server instances sharing the stand-in Redis
+async function startInstances(t) {
+  const redis = await startFakeRedis();
+  t.after(() => redis.stop());
+  const env = { BUS: 'redis', REDIS_URL: redis.url };
+  const first = await startServer(t, env);
+  const second = await startServer(t, env);
+  await waitFor(() => redis.subscriberCount() === 2, 'both instances to subscribe');
+  return { redis, first, second };
+}
+
+// Join through an instance that may not have heard of the party yet
+async function joinWhenKnown(client, partyCode, username) {
+  for (;;) {
+    const reply = client.next('joined', 'error');
+    client.send({ type: 'join', partyCode, username, deviceId: `${username}-device` });
+    const message = await reply;
+    if (message.type === 'joined' || message.code !== 'party-not-found') return message;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+test('party state on the bus carries no addresses, device ids or resume tokens', async (t) => {
+  const { redis, first, second } = await startInstances(t);
+
+  const { reply: created } = await createParty(t, first.url, { deviceId: 'host-device' });
+
+  const guest = await connect(second.url);
+  const joined = await joinWhenKnown(guest, created.partyCode, 'Guest');
+  assert.strictEqual(joined.type, 'joined');
+  await waitFor(() => redis.published.some(entry => entry.message.includes(joined.clientId)), 'the guest to be published');
+
+  for (const { message } of redis.published) {
+    for (const secret of [created.resumeToken, joined.resumeToken, '127.0.0.1', 'host-device', 'Guest-device']) {
+      assert.ok(!message.includes(secret), `published state contains ${secret}`);
+    }
+    const { state } = JSON.parse(message);
+    for (const participant of (state && state.participants) || []) {
+      assert.strictEqual(participant.ip, undefined);
+      assert.strictEqual(participant.resumeToken, undefined);
+    }
+  }
+
+  // The published hash is still enough to resume on the other instance
+  guest.close();
+  const returning = await connect(first.url);
+  t.after(() => returning.close());
+  const resumed = returning.next('resumed', 'error');
+  returning.send({ type: 'resume', partyCode: created.partyCode, resumeToken: joined.resumeToken });
+  const reply = await resumed;
+  assert.strictEqual(reply.type, 'resumed');
+  assert.strictEqual(reply.clientId, joined.clientId);
+});
+
+test('host beacons are relayed without publishing the whole party', async (t) => {
+  const { redis, first, second } = await startInstances(t);
+
+  const host = await createParty(t, first.url);
+  const { partyCode } = host.reply;
+  await waitFor(() => redis.published.length > 0, 'the party to be published');
+
+  const before = redis.published.length;
+  host.send({ type: 'sync', action: 'beacon', data: { currentTime: 100, playbackRate: 1, playing: true } });
+  await waitFor(() => redis.published.length > before, 'the beacon to be relayed');
+  const kinds = redis.published.slice(before).map(entry => JSON.parse(entry.message).kind);
+  assert.deepStrictEqual(kinds.filter(kind => kind !== 'alive'), ['broadcast']);
+
+  // The other instance still moved its playback clock on from the relayed beacon
+  const guest = await connect(second.url);
+  t.after(() => guest.close());
+  const joined = await joinWhenKnown(guest, partyCode, 'Guest');
+  assert.ok(joined.playback.position >= 100, `position ${joined.playback.position} follows the beacon`);
+  assert.strictEqual(joined.playback.playing, true);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, createParty, joinParty } = require('./helpers');
+
+test('wrong passwords sent together cannot get past the lockout', async (t) => {
+  const server = await startServer(t);
+
+  const { partyCode } = (await createParty(t, server.url, { password: 'right' })).reply;
+
+  // All sent before the server has checked any of them
+  const guesser = await connect(server.url);
+  t.after(() => guesser.close());
+  const replies = [];
+  for (let i = 0; i < 8; i++) {
+    replies.push(guesser.next('error', 'joined'));
+    guesser.send({ type: 'join', partyCode, username: 'Guesser', password: `wrong-${i}` });
+  }
+  const codes = (await Promise.all(replies)).map(reply => reply.code);
+
+  assert.strictEqual(codes.filter(code => code === 'incorrect-password').length, 5);
+  assert.strictEqual(codes.filter(code => code === 'too-many-attempts').length, 3);
+
+  // Still locked out, even with the right password
+  guesser.send({ type: 'join', partyCode, username: 'Guesser', password: 'right' });
+  assert.strictEqual((await guesser.next('error', 'joined')).code, 'too-many-attempts');
+});
+
+test('the right password still gets in after a few wrong ones', async (t) => {
+  const server = await startServer(t);
+
+  const { partyCode } = (await createParty(t, server.url, { password: 'right' })).reply;
+
+  const guest = await connect(server.url);
+  t.after(() => guest.close());
+  const replies = [];
+  for (const password of ['wrong-1', 'wrong-2', 'right']) {
+    replies.push(guest.next('error', 'joined'));
+    guest.send({ type: 'join', partyCode, username: 'Guest', password });
+  }
+  // Passwords are checked in parallel, so the replies can come back in any order
+  const types = (await Promise.all(replies)).map(reply => reply.code || reply.type);
+  assert.deepStrictEqual(types.sort(), ['incorrect-password', 'incorrect-password', 'joined']);
+});
+
+test('behind a trusted proxy, the IP lockout applies to the forwarded address', async (t) => {
+  const server = await startServer(t, { TRUST_PROXY_HOPS: '1' });
+
+  const { partyCode } = (await createParty(t, server.url, { password: 'right' })).reply;
+
+  // Use up the per-IP limit of 20 from one address, over several connections
+  const attacker = { headers: { 'X-Forwarded-For': '203.0.113.1' } };
+  for (let i = 0; i < 5; i++) {
+    const connection = await connect(server.url, attacker);
+    t.after(() => connection.close());
+    for (let j = 0; j < 4; j++) {
+      connection.send({ type: 'join', partyCode, username: 'Attacker', password: 'wrong' });
+      assert.strictEqual((await connection.next('error')).code, 'incorrect-password');
+    }
+  }
+
+  const attackerAgain = await connect(server.url, attacker);
+  t.after(() => attackerAgain.close());
+  attackerAgain.send({ type: 'join', partyCode, username: 'Attacker', password: 'right' });
+  assert.strictEqual((await attackerAgain.next('error', 'joined')).code, 'too-many-attempts');
+
+  // Someone else coming through the same proxy is not affected, even if they claim
+  // the attacker's address further left in the header
+  await joinParty(t, server.url, partyCode, { password: 'right' }, { headers: { 'X-Forwarded-For': '203.0.113.1, 198.51.100.7' } });
+});
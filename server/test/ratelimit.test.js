@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TokenBucket, ConnectionLimiter } = require('../ratelimit');
+
+test('a bucket allows its burst, then refills at its rate', () => {
+  const bucket = new TokenBucket({ capacity: 3, refillPerSecond: 2 }, 0);
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(bucket.take(0), true, `token ${i + 1} of the burst`);
+  }
+  assert.strictEqual(bucket.take(0), false);
+  assert.strictEqual(bucket.waitTime(0), 500);
+  assert.strictEqual(bucket.waitTime(200), 300);
+
+  assert.strictEqual(bucket.take(499), false);
+  assert.strictEqual(bucket.take(500), true);
+
+  // A long pause refills the bucket to its capacity and no further
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(bucket.take(60000), true);
+  }
+  assert.strictEqual(bucket.take(60000), false);
+});
+
+test('time going backwards does not add tokens', () => {
+  const bucket = new TokenBucket({ capacity: 1, refillPerSecond: 1 }, 5000);
+  assert.strictEqual(bucket.take(5000), true);
+  assert.strictEqual(bucket.take(1000), false);
+  assert.strictEqual(bucket.waitTime(1000), 1000);
+});
+
+test('a refused message does not use up the other limit', () => {
+  const now = Date.now();
+  const limiter = new ConnectionLimiter({ capacity: 5, refillPerSecond: 1 }, {
+    chat: { capacity: 1, refillPerSecond: 1 },
+    sync: { capacity: 10, refillPerSecond: 1 }
+  });
+
+  assert.strictEqual(limiter.check('chat', now), null);
+  for (let i = 0; i < 10; i++) {
+    assert.ok(limiter.check('chat', now), `chat ${i + 2} is refused`);
+  }
+  // The refused chats took nothing from the overall bucket
+  for (let i = 0; i < 4; i++) {
+    assert.strictEqual(limiter.check('sync', now), null, `sync ${i + 1} goes through`);
+  }
+
+  // Now the overall limit refuses, and the sync bucket keeps its tokens
+  const refused = limiter.check('sync', now);
+  assert.deepStrictEqual(refused, { retryAfter: 1000, notify: true });
+  assert.strictEqual(limiter.buckets.get('sync').tokens, 6);
+});
+
+test('only the first refusal in a row asks to notify', () => {
+  const now = Date.now();
+  const limiter = new ConnectionLimiter({ capacity: 100, refillPerSecond: 1 }, {
+    join: { capacity: 1, refillPerSecond: 0.5 }
+  });
+
+  assert.strictEqual(limiter.check('join', now), null);
+  assert.deepStrictEqual(limiter.check('join', now), { retryAfter: 2000, notify: true });
+  assert.deepStrictEqual(limiter.check('join', now + 1000), { retryAfter: 1000, notify: false });
+  assert.strictEqual(limiter.check('join', now + 2000), null);
+  assert.deepStrictEqual(limiter.check('join', now + 2000), { retryAfter: 2000, notify: true });
+});
+
+test('types without their own limit only count against the connection', () => {
+  const now = Date.now();
+  const limiter = new ConnectionLimiter({ capacity: 2, refillPerSecond: 1 }, {});
+  assert.strictEqual(limiter.check('leave', now), null);
+  assert.strictEqual(limiter.check('leave', now), null);
+  assert.deepStrictEqual(limiter.check('leave', now), { retryAfter: 1000, notify: true });
+});
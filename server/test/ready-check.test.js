@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createParty, joinParty } = require('./helpers');
+
+test('a countdown keeps its start time out of updatedAt', async (t) => {
+  const server = await startServer(t);
+
+  const host = await createParty(t, server.url);
+  const { partyCode } = host.reply;
+
+  const opened = host.next('ready-check');
+  host.send({ type: 'ready-check', position: 10 });
+  const { readyCheck } = await opened;
+
+  const started = host.next('ready-check');
+  host.send({ type: 'ready', checkId: readyCheck.id, ready: true });
+  const { readyCheck: result } = await started;
+  assert.strictEqual(result.status, 'started');
+
+  // Joining during the countdown: playing from the target once it ends, and not before
+  const { playback, timestamp } = (await joinParty(t, server.url, partyCode)).reply;
+  assert.strictEqual(playback.playing, true);
+  assert.strictEqual(playback.position, 10);
+  assert.strictEqual(playback.startAt, result.startAt);
+  assert.ok(playback.updatedAt <= timestamp, 'updatedAt is not in the future');
+  assert.ok(playback.startAt > timestamp, 'the countdown is still running');
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { replay } = require('../replay');
+const { startServer, createParty } = require('./helpers');
+
+test('replaying into a party that has a host fails instead of losing beacons', async (t) => {
+  const server = await startServer(t);
+
+  const { partyCode } = (await createParty(t, server.url)).reply;
+
+  const events = [{ at: 0, kind: 'sync', action: 'beacon', data: { currentTime: 1, playing: true } }];
+  await assert.rejects(
+    replay(events, { server: server.url, party: partyCode, password: null, speed: 1, wait: 0 }),
+    /already has a host/
+  );
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, createParty, joinParty, waitFor } = require('./helpers');
+
+// Whether the latest participant list `client` received shows `clientId` as away
+function shownAway(client, clientId) {
+  const lists = client.messages.filter(message => message.type === 'participants');
+  const latest = lists[lists.length - 1];
+  const entry = latest && latest.participants.find(participant => participant.id === clientId);
+  return !!entry && entry.away;
+}
+
+// Send a resume on a new connection and wait for the reply
+async function resume(t, url, fields) {
+  const client = await connect(url);
+  t.after(() => client.close());
+  const reply = client.next('resumed', 'error');
+  client.send(Object.assign({ type: 'resume' }, fields));
+  return { client, reply: await reply };
+}
+
+test('a dropped participant resumes as themselves and catches up on what they missed', async (t) => {
+  const server = await startServer(t);
+
+  const host = await createParty(t, server.url);
+  const { partyCode } = host.reply;
+  const guest = await joinParty(t, server.url, partyCode);
+  const { clientId, resumeToken, timestamp } = guest.reply;
+
+  guest.close();
+  await waitFor(() => shownAway(host, clientId), 'the guest to be shown away');
+  host.send({ type: 'video-info', data: { url: 'https://example.com/next', title: 'Next', currentTime: 0, playing: true } });
+  // Chat is handled in order, so once it comes back the video change has been recorded too
+  host.send({ type: 'chat', text: 'Where did you go?' });
+  await host.next('chat');
+
+  const { client: returning, reply } = await resume(t, server.url, { partyCode, resumeToken, lastEventAt: timestamp });
+  assert.strictEqual(reply.type, 'resumed');
+  assert.strictEqual(reply.clientId, clientId);
+  assert.strictEqual(reply.username, 'Guest');
+  assert.notStrictEqual(reply.resumeToken, resumeToken);
+  const videoChange = reply.missed.find(message => message.type === 'video-changed');
+  assert.strictEqual(videoChange && videoChange.data.url, 'https://example.com/next');
+  // Chat comes with the party snapshot rather than as missed events
+  assert.strictEqual(reply.chat[reply.chat.length - 1].text, 'Where did you go?');
+  assert.strictEqual(reply.participants.find(participant => participant.id === clientId).away, false);
+  await waitFor(() => !shownAway(host, clientId), 'the guest to be shown back');
+
+  // Tokens are single-use: the old one no longer works, the new one does
+  const { reply: stale } = await resume(t, server.url, { partyCode, resumeToken });
+  assert.strictEqual(stale.code, 'resume-failed');
+  returning.close();
+  const { reply: again } = await resume(t, server.url, { partyCode, resumeToken: reply.resumeToken });
+  assert.strictEqual(again.clientId, clientId);
+});
+
+test('resuming with a token the party does not know fails', async (t) => {
+  const server = await startServer(t);
+
+  const { partyCode, resumeToken } = (await createParty(t, server.url)).reply;
+  const { reply: wrongToken } = await resume(t, server.url, { partyCode, resumeToken: 'not-a-token' });
+  assert.strictEqual(wrongToken.code, 'resume-failed');
+  const { reply: wrongParty } = await resume(t, server.url, { partyCode: 'NOPE42', resumeToken });
+  assert.strictEqual(wrongParty.code, 'resume-failed');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../storage');
+
+// A store file in a fresh temporary directory
+function tempStorePath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-party-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'parties.json');
+}
+
+test('party records survive a round trip through the file', async (t) => {
+  const filePath = tempStorePath(t);
+  const store = new FileStore(filePath);
+  assert.deepStrictEqual(await store.load(), []);
+
+  store.save('ABC123', { partyCode: 'ABC123', name: 'Movie night', banned: ['10.0.0.1'] });
+  store.save('DEF456', { partyCode: 'DEF456', name: null });
+  store.remove('DEF456');
+  await store.flush();
+
+  const reloaded = await new FileStore(filePath).load();
+  assert.deepStrictEqual(reloaded, [{ partyCode: 'ABC123', name: 'Movie night', banned: ['10.0.0.1'] }]);
+  assert.ok(!fs.existsSync(`${filePath}.tmp`), 'the temporary file is renamed into place');
+});
+
+test('a store that is not valid JSON is moved aside instead of overwritten', async (t) => {
+  const filePath = tempStorePath(t);
+  fs.writeFileSync(filePath, '[{"partyCode": "ABC1');
+
+  const store = new FileStore(filePath);
+  assert.deepStrictEqual(await store.load(), []);
+  const aside = fs.readdirSync(path.dirname(filePath)).filter(name => name.startsWith('parties.json.corrupt-'));
+  assert.strictEqual(aside.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(path.dirname(filePath), aside[0]), 'utf8'), '[{"partyCode": "ABC1');
+
+  store.save('DEF456', { partyCode: 'DEF456' });
+  await store.flush();
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), [{ partyCode: 'DEF456' }]);
+});
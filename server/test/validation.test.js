@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMessage, validateMessage, LIMITS } = require('../validation');
+
+// Validate a message, expecting it to be refused as invalid
+function invalid(message) {
+  const { error } = validateMessage(message);
+  assert.ok(error, `${JSON.stringify(message)} was accepted`);
+  assert.strictEqual(error.code, 'invalid-message');
+  return error;
+}
+
+test('parseMessage refuses oversized, malformed and non-object payloads', () => {
+  assert.strictEqual(parseMessage(Buffer.from('x'.repeat(11)), 10).error.code, 'message-too-large');
+  assert.strictEqual(parseMessage(Buffer.from('{"type":')).error.code, 'invalid-json');
+  for (const payload of ['[]', 'null', '"join"', '42']) {
+    assert.strictEqual(parseMessage(Buffer.from(payload)).error.code, 'invalid-message', payload);
+  }
+  assert.deepStrictEqual(parseMessage(Buffer.from('{"type":"leave"}')), { message: { type: 'leave' } });
+});
+
+test('unknown types are refused by name, including inherited property names', () => {
+  for (const type of ['explode', 'constructor', '__proto__', 'toString', undefined, 42]) {
+    const { error } = validateMessage({ type });
+    assert.strictEqual(error.code, 'unknown-type', String(type));
+  }
+  const { error } = validateMessage({ type: 'x'.repeat(1000) });
+  assert.ok(error.message.length < 100, 'the echoed type is truncated');
+});
+
+test('valid messages come back with only their known fields', () => {
+  const { message } = validateMessage({
+    type: 'join',
+    partyCode: 'ABC123',
+    username: 'Guest',
+    admin: true,
+    deviceId: null
+  });
+  assert.deepStrictEqual(message, { type: 'join', partyCode: 'ABC123', username: 'Guest' });
+
+  const { message: sync } = validateMessage({
+    type: 'sync',
+    action: 'seek',
+    data: { currentTime: 12.5, playing: false, extra: 'dropped' }
+  });
+  assert.deepStrictEqual(sync, { type: 'sync', action: 'seek', data: { currentTime: 12.5, playing: false } });
+});
+
+test('string fields are held to their length limits', () => {
+  const longest = 'x'.repeat(LIMITS.usernameLength);
+  assert.strictEqual(validateMessage({ type: 'create-party', username: longest }).message.username, longest);
+  const error = invalid({ type: 'create-party', username: `${longest}x` });
+  assert.strictEqual(error.field, 'username');
+  assert.strictEqual(error.message, `Invalid create-party message: username must be at most ${LIMITS.usernameLength} characters`);
+
+  assert.ok(validateMessage({ type: 'chat', text: 'x'.repeat(LIMITS.chatLength) }).message);
+  assert.strictEqual(invalid({ type: 'chat', text: 'x'.repeat(LIMITS.chatLength + 1) }).field, 'text');
+  assert.strictEqual(invalid({ type: 'chat', text: '' }).message, 'Invalid chat message: text must not be empty');
+  assert.strictEqual(invalid({ type: 'chat', text: 7 }).message, 'Invalid chat message: text must be a string');
+  assert.strictEqual(invalid({ type: 'chat' }).message, 'Invalid chat message: text is required');
+});
+
+test('numbers, booleans, choices and URLs are checked', () => {
+  assert.strictEqual(invalid({ type: 'sync', action: 'seek', data: { currentTime: -1 } }).field, 'data.currentTime');
+  assert.strictEqual(invalid({ type: 'sync', action: 'seek', data: { playbackRate: 17 } }).field, 'data.playbackRate');
+  assert.strictEqual(invalid({ type: 'sync', action: 'seek', data: { currentTime: Infinity } }).field, 'data.currentTime');
+  assert.strictEqual(invalid({ type: 'sync', action: 'rewind', data: {} }).field, 'action');
+  assert.strictEqual(invalid({ type: 'buffering', buffering: 'yes' }).field, 'buffering');
+  assert.strictEqual(invalid({ type: 'reaction', emoji: '💩', position: 0 }).field, 'emoji');
+  assert.strictEqual(invalid({ type: 'queue-add', url: 'javascript:alert(1)' }).field, 'url');
+  assert.ok(validateMessage({ type: 'queue-add', url: 'https://www.youtube.com/watch?v=abc' }).message);
+  assert.strictEqual(
+    invalid({ type: 'create-party', maxParticipants: LIMITS.partyCapacity + 1 }).message,
+    `Invalid create-party message: maxParticipants must be between 2 and ${LIMITS.partyCapacity}`
+  );
+});
+
+test('list fields are held to their item count and item limits', () => {
+  const options = Array.from({ length: LIMITS.pollOptions }, (_, i) => `Option ${i}`);
+  assert.ok(validateMessage({ type: 'poll-create', kind: 'question', question: 'Which?', options }).message);
+  assert.strictEqual(
+    invalid({ type: 'poll-create', kind: 'question', question: 'Which?', options: [...options, 'One more'] }).message,
+    `Invalid poll-create message: options must have at most ${LIMITS.pollOptions} items`
+  );
+  assert.strictEqual(invalid({ type: 'poll-create', kind: 'question', question: 'Which?', options: ['Only'] }).field, 'options');
+
+  const tags = ['drama', 'x'.repeat(LIMITS.tagLength + 1)];
+  assert.strictEqual(invalid({ type: 'create-party', tags }).field, 'tags.1');
+  assert.strictEqual(invalid({ type: 'list-parties', tags: 'drama' }).field, 'tags');
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createParty, joinParty } = require('./helpers');
+
+test('a new party video plays on from where the sender is', async (t) => {
+  const server = await startServer(t);
+
+  const host = await createParty(t, server.url);
+  const { partyCode } = host.reply;
+  const guest = await joinParty(t, server.url, partyCode);
+
+  const changed = guest.next('video-changed');
+  host.send({
+    type: 'video-info',
+    data: { url: 'https://example.com/video', title: 'Video', duration: 600, currentTime: 42, playing: true, playbackRate: 1.5 }
+  });
+  const { data, playback } = await changed;
+  assert.deepStrictEqual(data, { url: 'https://example.com/video', title: 'Video', duration: 600 });
+  assert.strictEqual(playback.position, 42);
+  assert.strictEqual(playback.playing, true);
+  assert.strictEqual(playback.playbackRate, 1.5);
+
+  // Someone joining later gets the same starting point to extrapolate from
+  const { reply: joined } = await joinParty(t, server.url, partyCode, { username: 'Late' });
+  assert.deepStrictEqual(joined.playback, playback);
+  assert.deepStrictEqual(joined.video, data);
+});
@@ -0,0 +1,312 @@
+// Shape checks for messages received from clients
+// validateMessage(message) returns either { message } holding a cleaned copy with only
+// the known fields, or { error } with a machine-readable `code` and a readable `message`.
+
+const MAX_MESSAGE_SIZE = 16 * 1024; // Default bytes per inbound message
+const MAX_USERNAME_LENGTH = 32;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_PARTY_CODE_LENGTH = 32;
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 300;
+const MAX_ID_LENGTH = 64;
+const MAX_TOKEN_LENGTH = 128;
+const MAX_CHAT_LENGTH = 500;
+const MAX_POLL_QUESTION_LENGTH = 200;
+const MAX_POLL_OPTION_LENGTH = 80;
+const MAX_POLL_OPTIONS = 6;
+const MAX_PARTY_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_TAG_LENGTH = 24;
+const MAX_TAGS = 5;
+const MAX_SEARCH_LENGTH = 100;
+const MAX_PARTY_CAPACITY = 100;
+const MAX_RESERVE_DAYS = 365;
+const REACTION_EMOJIS = ['👍', '😂', '😮', '😢', '❤️', '🔥', '👏', '🎉'];
+const MAX_PLAYBACK_RATE = 16;
+const MAX_CAPABILITIES = 50;
+
+// Limits clients are told about in the `hello` handshake, so they can check input before sending it
+const LIMITS = {
+  messageSize: MAX_MESSAGE_SIZE,
+  usernameLength: MAX_USERNAME_LENGTH,
+  passwordLength: MAX_PASSWORD_LENGTH,
+  chatLength: MAX_CHAT_LENGTH,
+  pollQuestionLength: MAX_POLL_QUESTION_LENGTH,
+  pollOptionLength: MAX_POLL_OPTION_LENGTH,
+  pollOptions: MAX_POLL_OPTIONS,
+  partyNameLength: MAX_PARTY_NAME_LENGTH,
+  descriptionLength: MAX_DESCRIPTION_LENGTH,
+  tags: MAX_TAGS,
+  tagLength: MAX_TAG_LENGTH,
+  partyCapacity: MAX_PARTY_CAPACITY
+};
+
+// Field validators. Each takes a value and returns { value } or { error } (a reason);
+// optional fields that are missing (undefined or null) are left out of the cleaned message.
+
+function string({ max, min = 0, optional = false }) {
+  return (value) => {
+    if (value === undefined || value === null) {
+      return optional ? { value: undefined } : { error: 'is required' };
+    }
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    if (value.length < min) return { error: min === 1 ? 'must not be empty' : `must be at least ${min} characters` };
+    if (value.length > max) return { error: `must be at most ${max} characters` };
+    return { value };
+  };
+}
+
+function number({ min = -Infinity, max = Infinity, optional = false }) {
+  return (value) => {
+    if (value === undefined || value === null) {
+      return optional ? { value: undefined } : { error: 'is required' };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+    if (value < min) return { error: max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}` };
+    if (value > max) return { error: min === -Infinity ? `must be at most ${max}` : `must be between ${min} and ${max}` };
+    return { value };
+  };
+}
+
+function boolean({ optional = false } = {}) {
+  return (value) => {
+    if (value === undefined || value === null) {
+      return optional ? { value: undefined } : { error: 'is required' };
+    }
+    if (typeof value !== 'boolean') return { error: 'must be true or false' };
+    return { value };
+  };
+}
+
+function oneOf(values, { optional = false } = {}) {
+  return (value) => {
+    if (optional && (value === undefined || value === null)) return { value: undefined };
+    if (!values.includes(value)) return { error: `must be one of ${values.join(', ')}` };
+    return { value };
+  };
+}
+
+function url({ optional = false } = {}) {
+  const check = string({ max: MAX_URL_LENGTH, optional });
+  return (value) => {
+    const result = check(value);
+    if (result.error || result.value === undefined) return result;
+    if (!/^https?:\/\//i.test(value)) return { error: 'must be an http(s) URL' };
+    return result;
+  };
+}
+
+// List whose items are each checked by `item`
+function array(item, { min = 0, max, optional = false }) {
+  return (value) => {
+    if (value === undefined || value === null) {
+      return optional ? { value: undefined } : { error: 'is required' };
+    }
+    if (!Array.isArray(value)) return { error: 'must be a list' };
+    if (value.length < min) return { error: `must have at least ${min} items` };
+    if (value.length > max) return { error: `must have at most ${max} items` };
+
+    const clean = [];
+    for (let i = 0; i < value.length; i++) {
+      const result = item(value[i]);
+      if (result.error) return { error: result.error, field: String(i) };
+      clean.push(result.value);
+    }
+    return { value: clean };
+  };
+}
+
+// Nested object; unknown keys are dropped
+function object(shape, { optional = false } = {}) {
+  const validate = (value) => {
+    if (value === undefined || value === null) {
+      return optional ? { value: undefined } : { error: 'is required' };
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+
+    const clean = {};
+    for (const [key, check] of Object.entries(shape)) {
+      const result = check(value[key]);
+      if (result.error) return { error: result.error, field: result.field ? `${key}.${result.field}` : key };
+      if (result.value !== undefined) clean[key] = result.value;
+    }
+    return { value: clean };
+  };
+  return validate;
+}
+
+// Fields of each message type a client may send (`type` itself is checked separately)
+const SCHEMAS = {
+  'hello': {
+    version: number({ min: 0 }),
+    capabilities: array(string({ min: 1, max: MAX_ID_LENGTH }), { max: MAX_CAPABILITIES, optional: true }),
+    client: string({ max: MAX_ID_LENGTH, optional: true })
+  },
+  'create-party': {
+    username: string({ max: MAX_USERNAME_LENGTH, optional: true }),
+    password: string({ max: MAX_PASSWORD_LENGTH, optional: true }),
+    persistent: boolean({ optional: true }),
+    code: string({ min: 1, max: MAX_PARTY_CODE_LENGTH, optional: true }),
+    reserveDays: number({ min: 1, max: MAX_RESERVE_DAYS, optional: true }),
+    autoWait: boolean({ optional: true }),
+    waitForAds: boolean({ optional: true }),
+    visibility: oneOf(['public', 'unlisted', 'private'], { optional: true }),
+    name: string({ min: 1, max: MAX_PARTY_NAME_LENGTH, optional: true }),
+    description: string({ max: MAX_DESCRIPTION_LENGTH, optional: true }),
+    tags: array(string({ min: 1, max: MAX_TAG_LENGTH }), { max: MAX_TAGS, optional: true }),
+    maxParticipants: number({ min: 2, max: MAX_PARTY_CAPACITY, optional: true }),
+    deviceId: string({ min: 1, max: MAX_ID_LENGTH, optional: true })
+  },
+  'join': {
+    partyCode: string({ min: 1, max: MAX_PARTY_CODE_LENGTH }),
+    username: string({ max: MAX_USERNAME_LENGTH, optional: true }),
+    password: string({ max: MAX_PASSWORD_LENGTH, optional: true }),
+    inviteToken: string({ min: 1, max: MAX_TOKEN_LENGTH, optional: true }),
+    deviceId: string({ min: 1, max: MAX_ID_LENGTH, optional: true })
+  },
+  'resume': {
+    partyCode: string({ min: 1, max: MAX_PARTY_CODE_LENGTH }),
+    resumeToken: string({ min: 1, max: MAX_TOKEN_LENGTH }),
+    lastEventAt: number({ min: 0, optional: true }),
+    deviceId: string({ min: 1, max: MAX_ID_LENGTH, optional: true })
+  },
+  'leave': {},
+  'sync': {
+    action: oneOf(['play', 'pause', 'seek', 'ratechange', 'beacon']),
+    data: object({
+      currentTime: number({ min: 0, optional: true }),
+      playbackRate: number({ min: 0, max: MAX_PLAYBACK_RATE, optional: true }),
+      playing: boolean({ optional: true }),
+      sentAt: number({ min: 0, optional: true })
+    })
+  },
+  'video-info': {
+    data: object({
+      url: url({ optional: true }),
+      title: string({ max: MAX_TITLE_LENGTH, optional: true }),
+      duration: number({ min: 0, optional: true }),
+      currentTime: number({ min: 0, optional: true }),
+      playing: boolean({ optional: true }),
+      playbackRate: number({ min: 0, max: MAX_PLAYBACK_RATE, optional: true })
+    })
+  },
+  'transfer-host': {
+    targetId: string({ min: 1, max: MAX_ID_LENGTH })
+  },
+  'kick': {
+    targetId: string({ min: 1, max: MAX_ID_LENGTH })
+  },
+  'ban': {
+    targetId: string({ min: 1, max: MAX_ID_LENGTH })
+  },
+  'chat': {
+    text: string({ min: 1, max: MAX_CHAT_LENGTH })
+  },
+  'queue-add': {
+    url: url(),
+    title: string({ max: MAX_TITLE_LENGTH, optional: true })
+  },
+  'queue-remove': {
+    id: string({ min: 1, max: MAX_ID_LENGTH })
+  },
+  'queue-move': {
+    id: string({ min: 1, max: MAX_ID_LENGTH }),
+    index: number({ min: 0 })
+  },
+  'queue-next': {},
+  'poll-create': {
+    kind: oneOf(['question', 'skip', 'pause', 'rewind']),
+    question: string({ min: 1, max: MAX_POLL_QUESTION_LENGTH, optional: true }),
+    options: array(string({ min: 1, max: MAX_POLL_OPTION_LENGTH }), { min: 2, max: MAX_POLL_OPTIONS, optional: true })
+  },
+  'poll-vote': {
+    pollId: string({ min: 1, max: MAX_ID_LENGTH }),
+    option: number({ min: 0 })
+  },
+  'poll-close': {
+    pollId: string({ min: 1, max: MAX_ID_LENGTH })
+  },
+  'ready-check': {
+    position: number({ min: 0, optional: true })
+  },
+  'ready': {
+    checkId: string({ min: 1, max: MAX_ID_LENGTH }),
+    ready: boolean()
+  },
+  'ready-check-cancel': {
+    checkId: string({ min: 1, max: MAX_ID_LENGTH })
+  },
+  'buffering': {
+    buffering: boolean()
+  },
+  'ad': {
+    inAd: boolean()
+  },
+  'party-settings': {
+    settings: object({
+      autoWait: boolean({ optional: true }),
+      waitForAds: boolean({ optional: true })
+    })
+  },
+  'create-invite': {},
+  'video-ended': {
+    url: url()
+  },
+  'reaction': {
+    emoji: oneOf(REACTION_EMOJIS),
+    position: number({ min: 0 })
+  },
+  'ping': {
+    timestamp: number({ min: 0, optional: true }),
+    rtt: number({ min: 0, optional: true })
+  },
+  'get-event-log': {},
+  'list-parties': {
+    search: string({ max: MAX_SEARCH_LENGTH, optional: true }),
+    tags: array(string({ min: 1, max: MAX_TAG_LENGTH }), { max: MAX_TAGS, optional: true }),
+    open: boolean({ optional: true }),
+    available: boolean({ optional: true }),
+    persistent: boolean({ optional: true })
+  }
+};
+
+// Parse raw message data, refusing payloads over `maxSize` bytes and invalid JSON
+function parseMessage(data, maxSize = MAX_MESSAGE_SIZE) {
+  if (data.length > maxSize) {
+    return { error: { code: 'message-too-large', message: `Message exceeds ${maxSize} bytes` } };
+  }
+
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return { error: { code: 'invalid-json', message: 'Message is not valid JSON' } };
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { error: { code: 'invalid-message', message: 'Message must be a JSON object' } };
+  }
+  return { message };
+}
+
+// Check a parsed message against the schema for its type
+function validateMessage(message) {
+  const schema = Object.prototype.hasOwnProperty.call(SCHEMAS, message.type) ? SCHEMAS[message.type] : null;
+  if (!schema) {
+    return { error: { code: 'unknown-type', message: `Unknown message type: ${String(message.type).slice(0, MAX_ID_LENGTH)}` } };
+  }
+
+  const result = object(schema)(message);
+  if (result.error) {
+    return {
+      error: {
+        code: 'invalid-message',
+        message: `Invalid ${message.type} message: ${result.field} ${result.error}`,
+        field: result.field
+      }
+    };
+  }
+  return { message: { type: message.type, ...result.value } };
+}
+
+module.exports = { parseMessage, validateMessage, MAX_MESSAGE_SIZE, LIMITS };